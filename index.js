@@ -1,7 +1,16 @@
+var EventEmitter = require('events').EventEmitter;
+var Readable = require('stream').Readable;
 var mongodb = require('./mongodb');
 var DB = require('sharedb').DB;
+var ot = require('sharedb').ot;
+var types = require('sharedb').types;
+var logger = require('sharedb/lib/logger');
 var OpLinkValidator = require('./op-link-validator');
 var MiddlewareHandler = require('./src/middleware/middlewareHandler');
+var ShareDbMongoPubSub = require('./src/pubsub');
+var QuerySubscription = require('./src/query-subscription');
+var ShareDbMongoMilestoneDB = require('./src/milestone-db');
+var touchedFields = require('./src/touched-fields');
 
 module.exports = ShareDbMongo;
 
@@ -17,11 +26,39 @@ function ShareDbMongo(mongo, options) {
   }
   if (!options) options = {};
 
+  EventEmitter.call(this);
+
+  // Setting this flag to true captures the operation time of each commit and
+  // polls the separate polling db, if one is specified, with causally
+  // consistent sessions that read after the latest commit. This guarantees
+  // that polls see the writes of this server, even on secondaries. Ops
+  // committed by other servers don't carry their operation time, so polls for
+  // them are only covered by pollDelay
+  this.causalConsistency = options.causalConsistency || false;
+
   // pollDelay is a dodgy hack to work around race conditions replicating the
   // data out to the polling target secondaries. If a separate db is specified
-  // for polling, it defaults to 300ms
+  // for polling, it defaults to 300ms, unless polls are causally consistent
   this.pollDelay = (options.pollDelay != null) ? options.pollDelay :
-    (options.mongoPoll) ? 300 : 0;
+    (options.mongoPoll && !this.causalConsistency) ? 300 : 0;
+
+  // Operation time and cluster time of the latest commit, which causally
+  // consistent polls have to read after
+  this._lastOperationTime = null;
+  this._lastClusterTime = null;
+
+  // Map from the query object of a subscribed query that is sorted and
+  // limited -> PollWindow with the results of its last poll
+  this._pollWindows = new WeakMap();
+
+  // Set when a ShareDbMongoMilestoneDB is created with this instance, so that
+  // collections can't be named onto its milestone collections
+  this._hasMilestoneDb = false;
+
+  // Map from the collection and id of a doc recently committed or created ->
+  // its type, for skipPoll to find the paths that the doc's ops touch. The
+  // oldest entries are dropped past DOC_TYPES_LIMIT
+  this._docTypes = new Map();
 
   // By default, we create indexes on any ops collection that is used
   this.disableIndexCreation = options.disableIndexCreation || false;
@@ -33,7 +70,8 @@ function ShareDbMongo(mongo, options) {
   // to the number of collections you have. This should be OK, as we are not
   // expecting thousands of mongo collections.
 
-  // Map from collection name -> true for op collections we've ensureIndex'ed
+  // Map from db name -> op collection name -> true for op collections we've
+  // ensureIndex'ed
   this.opIndexes = {};
 
   // Allow $while and $mapReduce queries. These queries let you run arbitrary
@@ -45,12 +83,86 @@ function ShareDbMongo(mongo, options) {
   // data in the mongo database.
   this.allowAggregateQueries = options.allowAllQueries || options.allowAggregateQueries || false;
 
+  // Restrict the pipeline stages of aggregate queries, including the stages
+  // in nested pipelines such as those of $lookup and $facet, to the allowed
+  // stages, if given, other than the disallowed stages. Allowing only stages
+  // that read, such as $match, $group and $sort, rules out writing with $out
+  // or $merge. The collections that $lookup, $graphLookup and $unionWith read
+  // can be restricted to allowedLookupCollections as well
+  this.allowedAggregateStages = options.allowedAggregateStages || null;
+  this.disallowedAggregateStages = options.disallowedAggregateStages || null;
+  this.allowedLookupCollections = options.allowedLookupCollections || null;
+
   // Setting this flag to true will attempt to infer a canonical op link for
   // getOps rather than using the snapshot as the op link. This allows us to
   // not fetch all ops to present when asking only for a subset.
   // For more details on this, see the README.
   this.getOpsWithoutStrictLinking = options.getOpsWithoutStrictLinking || false;
 
+  // Setting this flag to true will write the op and the snapshot of a commit
+  // in a single multi-document transaction. This needs a replica set or
+  // sharded cluster; on a standalone server we fall back to the optimistic
+  // write, which may leave behind ops that never made it into the snapshot.
+  // Ops written in a transaction are marked, so that getOps can skip walking
+  // the op links when it only finds marked ops.
+  this.transactions = options.transactions || false;
+
+  // Set once we find out that the server doesn't support transactions
+  this._transactionsUnsupported = false;
+
+  // Mappings from ShareDB collection names to the names of the mongo
+  // collections for snapshots and ops. Each option is either a function from
+  // the ShareDB collection name to the mongo collection name, or an object
+  // with a prefix and/or suffix to add to it
+  this._snapshotCollectionNames = createCollectionNameMapping(options.snapshotCollectionName, {});
+  this._opCollectionNames = createCollectionNameMapping(options.opCollectionName, {prefix: 'o_'});
+
+  // Name of a single collection to store the ops of every ShareDB collection
+  // in, instead of one op collection per ShareDB collection. Each op then has
+  // a `c` field with the name of its ShareDB collection
+  this.sharedOpCollection = options.sharedOpCollection || null;
+  if (this.sharedOpCollection) {
+    if (options.opCollectionName) {
+      throw new Error('The opCollectionName and sharedOpCollection options can\'t be used together');
+    }
+    var sharedOpCollection = this.sharedOpCollection;
+    this._opCollectionNames = createCollectionNameMapping(function() {
+      return sharedOpCollection;
+    });
+  }
+
+  // Function from the options passed to a method, such as getSnapshot or
+  // commit, to the name of the db to use for it on the same client, for
+  // hosting each tenant in its own db. If it returns nothing, the db of the
+  // connection string is used
+  this.tenantResolver = options.tenantResolver || null;
+
+  // Map from collection name -> function(id, snapshot) returning the shard
+  // key fields of a doc. These are added to the snapshots and ops written and
+  // to the filters used to look them up, so that sharded clusters can route
+  // each call to a single shard. The snapshot is only passed for writes, so
+  // the fields must also be derivable from the id alone
+  this.shardKey = options.shardKey || {};
+
+  // Errors from the afterCreate, afterOverwrite and afterCommit middleware
+  // can't be returned from commit, since the commit is already persisted by
+  // the time they run, so they are passed to this function instead
+  this.onAfterWriteError = options.onAfterWriteError || logAfterWriteError;
+
+  // A failed connection is retried after connectRetryDelay milliseconds,
+  // doubling the delay after each failure up to connectRetryMaxDelay, at most
+  // connectRetries times, which is 0 unless set. Calls made while connecting
+  // wait for the current attempt, and get its error if it fails
+  this.connectRetries = (options.connectRetries != null) ? options.connectRetries : 0;
+  this.connectRetryDelay = (options.connectRetryDelay != null) ? options.connectRetryDelay : 1000;
+  this.connectRetryMaxDelay = (options.connectRetryMaxDelay != null) ? options.connectRetryMaxDelay : 30000;
+  this._connectAttempts = 0;
+  this._connectRetryTimeout = null;
+
+  // Map from client name ('mongo' or 'mongoPoll') -> whether the driver can
+  // reach any of its servers, for the disconnected and reconnected events
+  this._clientsAvailable = {};
+
   // Track whether the close method has been called
   this.closed = false;
 
@@ -58,17 +170,10 @@ function ShareDbMongo(mongo, options) {
   this._mongoClient = null;
   this.mongoPoll = null;
   this._mongoPollClient = null;
+  this._hasMongoPoll = !!options.mongoPoll;
 
   if (typeof mongo === 'string' || typeof mongo === 'function') {
-    var self = this;
-    this._connection = this._connect(mongo, options)
-      .then(function(result) {
-        self.mongo = result.mongo;
-        self._mongoClient = result.mongoClient;
-        self.mongoPoll = result.mongoPoll;
-        self._mongoPollClient = result.mongoPollClient;
-        return result;
-      });
+    this._startConnection(mongo, options);
   } else {
     throw new Error('deprecated: pass mongo as url string or function with callback');
   }
@@ -77,42 +182,74 @@ function ShareDbMongo(mongo, options) {
 };
 
 ShareDbMongo.prototype = Object.create(DB.prototype);
+for (var key in EventEmitter.prototype) {
+  ShareDbMongo.prototype[key] = EventEmitter.prototype[key];
+}
 
 ShareDbMongo.prototype.projectsSnapshots = true;
 
-ShareDbMongo.prototype.getCollection = function(collectionName, callback) {
+// The options are those passed to the method that needs the collection, and
+// are only used to pick the db with the tenantResolver option
+ShareDbMongo.prototype.getCollection = function(collectionName, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
   // Check the collection name
   var err = this.validateCollectionName(collectionName);
   if (err) return callback(err);
   // Gotcha: calls back sync if connected or async if not
-  this.getDbs(function(err, mongo) {
+  var self = this;
+  this._getDbsFor(options, function(err, mongo) {
     if (err) return callback(err);
-    var collection = mongo.collection(collectionName);
+    var collection = mongo.collection(self.getSnapshotCollectionName(collectionName));
     return callback(null, collection);
   });
 };
 
-ShareDbMongo.prototype._getCollectionPoll = function(collectionName, callback) {
+ShareDbMongo.prototype._getCollectionPoll = function(collectionName, options, callback) {
   // Check the collection name
   var err = this.validateCollectionName(collectionName);
   if (err) return callback(err);
   // Gotcha: calls back sync if connected or async if not
-  this.getDbs(function(err, mongo, mongoPoll) {
+  var self = this;
+  this._getDbsFor(options, function(err, mongo, mongoPoll) {
     if (err) return callback(err);
-    var collection = (mongoPoll || mongo).collection(collectionName);
+    var collection = (mongoPoll || mongo).collection(self.getSnapshotCollectionName(collectionName));
     return callback(null, collection);
   });
 };
 
-ShareDbMongo.prototype.getCollectionPoll = function(collectionName, callback) {
+// Start a causally consistent session on the polling db that reads after our
+// latest commit. Returns null if polls don't need one: either polls go to the
+// same db as commits, or we haven't committed anything yet
+ShareDbMongo.prototype._startPollSession = function() {
+  if (!this.causalConsistency || !this._mongoPollClient || !this._lastOperationTime) return null;
+  var session = this._mongoPollClient.startSession({
+    causalConsistency: true,
+    initialClusterTime: this._lastClusterTime
+  });
+  session.advanceOperationTime(this._lastOperationTime);
+  return session;
+};
+
+function endSession(session) {
+  if (session) session.endSession();
+}
+
+ShareDbMongo.prototype.getCollectionPoll = function(collectionName, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
   if (this.pollDelay) {
     var self = this;
     setTimeout(function() {
-      self._getCollectionPoll(collectionName, callback);
+      self._getCollectionPoll(collectionName, options, callback);
     }, this.pollDelay);
     return;
   }
-  this._getCollectionPoll(collectionName, callback);
+  this._getCollectionPoll(collectionName, options, callback);
 };
 
 ShareDbMongo.prototype.getDbs = function(callback) {
@@ -126,18 +263,77 @@ ShareDbMongo.prototype.getDbs = function(callback) {
     }, callback);
 };
 
+// Same as getDbs, but calls back with the dbs named by the tenantResolver
+// option for the given options, if it names one
+ShareDbMongo.prototype._getDbsFor = function(options, callback) {
+  var self = this;
+  this.getDbs(function(err, mongo, mongoPoll) {
+    if (err) return callback(err);
+    var dbName = self.tenantResolver && self.tenantResolver(options || {});
+    if (!dbName) return callback(null, mongo, mongoPoll);
+    var tenantMongoPoll = self._mongoPollClient && self._mongoPollClient.db(dbName);
+    callback(null, self._mongoClient.db(dbName), tenantMongoPoll);
+  });
+};
+
+// Connect, and schedule another attempt with exponential backoff if that
+// fails. Emits `connected` once connected, and `connectFailed` with the error
+// and the delay before the next attempt, or null if there won't be one
+ShareDbMongo.prototype._startConnection = function(mongo, options) {
+  var self = this;
+  this._connection = this._connect(mongo, options)
+    .then(function(result) {
+      self.mongo = result.mongo;
+      self._mongoClient = result.mongoClient;
+      self.mongoPoll = result.mongoPoll;
+      self._mongoPollClient = result.mongoPollClient;
+      self._watchClient('mongo', result.mongoClient);
+      if (result.mongoPollClient) self._watchClient('mongoPoll', result.mongoPollClient);
+      self.emit('connected');
+      return result;
+    });
+  this._connection.catch(function(err) {
+    if (self.closed) return;
+    var delay = (self._connectAttempts < self.connectRetries) ?
+      Math.min(self.connectRetryDelay * Math.pow(2, self._connectAttempts), self.connectRetryMaxDelay) :
+      null;
+    self._connectAttempts++;
+    if (delay != null) {
+      self._connectRetryTimeout = setTimeout(function() {
+        self._connectRetryTimeout = null;
+        self._startConnection(mongo, options);
+      }, delay);
+      // Waiting to retry doesn't keep the process running, such as when the
+      // connection string is wrong
+      if (self._connectRetryTimeout.unref) self._connectRetryTimeout.unref();
+    }
+    self.emit('connectFailed', err, delay);
+  });
+};
+
 ShareDbMongo.prototype._connect = function(mongo, options) {
   // Create the mongo connection client connections if needed
   //
-  // Throw errors in this function if we fail to connect, since we aren't
-  // implementing a way to retry
+  // If only one of the clients connects, close it, since the whole attempt is
+  // retried
   var connections = [connect(mongo, options.mongoOptions)];
   var mongoPoll = options.mongoPoll;
   if (mongoPoll) connections.push(connect(mongoPoll, options.mongoPollOptions));
 
-  return Promise.all(connections).then(function(clients) {
-    var mongoClient = clients[0];
-    var mongoPollClient = clients[1];
+  return settleAll(connections).then(function(results) {
+    var err = results[0].error || (results[1] && results[1].error);
+    if (err) {
+      var closing = results.map(function(result) {
+        return result.value && result.value.close();
+      });
+      return Promise.all(closing).then(function() {
+        throw err;
+      }, function() {
+        throw err;
+      });
+    }
+    var mongoClient = results[0].value;
+    var mongoPollClient = results[1] && results[1].value;
     return {
       mongo: mongoClient.db(),
       mongoClient: mongoClient,
@@ -147,6 +343,89 @@ ShareDbMongo.prototype._connect = function(mongo, options) {
   });
 };
 
+// Once connected, the driver reconnects by itself. Follow the servers it can
+// reach to emit `disconnected` when it can't reach any, and `reconnected`
+// when it can again, with the name of the client
+ShareDbMongo.prototype._watchClient = function(name, client) {
+  var self = this;
+  this._clientsAvailable[name] = true;
+  client.on('topologyDescriptionChanged', function(event) {
+    var available = hasAvailableServer(event.newDescription);
+    if (available === self._clientsAvailable[name] || self.closed) return;
+    self._clientsAvailable[name] = available;
+    self.emit((available) ? 'reconnected' : 'disconnected', name);
+  });
+};
+
+function hasAvailableServer(topologyDescription) {
+  var available = false;
+  topologyDescription.servers.forEach(function(serverDescription) {
+    if (serverDescription.type !== 'Unknown') available = true;
+  });
+  return available;
+}
+
+function settleAll(promises) {
+  return Promise.all(promises.map(function(promise) {
+    return promise.then(function(value) {
+      return {value: value};
+    }, function(error) {
+      return {error: error};
+    });
+  }));
+}
+
+// Ping the mongo and mongoPoll servers. Calls back with
+// {ok, mongo: {ok, duration, error}, mongoPoll: {ok, duration, error}}, where
+// mongoPoll is only set with a mongoPoll connection, and the error message is
+// only set if the ping failed
+//
+// Options:
+//   timeout: milliseconds to wait for each ping. Defaults to 5000
+ShareDbMongo.prototype.health = function(options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  var timeout = (options && options.timeout != null) ? options.timeout : 5000;
+  var connection = (this.closed) ? Promise.reject(ShareDbMongo.alreadyClosedError()) : this._connection;
+  var pings = [
+    pingDb(connection, 'mongo', timeout),
+    this._hasMongoPoll && pingDb(connection, 'mongoPoll', timeout)
+  ];
+  Promise.all(pings).then(function(results) {
+    var report = {ok: results[0].ok, mongo: results[0]};
+    if (results[1]) {
+      report.ok = report.ok && results[1].ok;
+      report.mongoPoll = results[1];
+    }
+    callback(null, report);
+  });
+};
+
+function pingDb(connection, name, timeout) {
+  var start = Date.now();
+  var timer;
+  var timedOut = new Promise(function(resolve, reject) {
+    timer = setTimeout(function() {
+      reject(ShareDbMongo.healthCheckTimeoutError(name, timeout));
+    }, timeout);
+  });
+  var ping = connection.then(function(result) {
+    return result[name].command({ping: 1});
+  });
+  return Promise.race([ping, timedOut])
+    .then(function() {
+      return {ok: true, duration: Date.now() - start};
+    }, function(err) {
+      return {ok: false, duration: Date.now() - start, error: err.message};
+    })
+    .then(function(result) {
+      clearTimeout(timer);
+      return result;
+    });
+}
+
 function connect(mongo, options) {
   if (typeof mongo === 'function') {
     return new Promise(function(resolve, reject) {
@@ -167,7 +446,21 @@ function connect(mongo, options) {
   delete options.allowJSQueries;
   delete options.allowAllQueries;
   delete options.allowAggregateQueries;
+  delete options.allowedAggregateStages;
+  delete options.disallowedAggregateStages;
+  delete options.allowedLookupCollections;
   delete options.getOpsWithoutStrictLinking;
+  delete options.transactions;
+  delete options.causalConsistency;
+  delete options.onAfterWriteError;
+  delete options.shardKey;
+  delete options.tenantResolver;
+  delete options.snapshotCollectionName;
+  delete options.opCollectionName;
+  delete options.sharedOpCollection;
+  delete options.connectRetries;
+  delete options.connectRetryDelay;
+  delete options.connectRetryMaxDelay;
 
   if (typeof mongodb.connect === 'function') {
     return mongodb.connect(mongo, options);
@@ -187,8 +480,13 @@ ShareDbMongo.prototype.close = function(callback) {
   this.getDbs(function(err) {
     // Ignore "already closed"
     if (err && err.code === 5101) return callback();
-    if (err) return callback(err);
     self.closed = true;
+    // If not connected, there is nothing to close, but stop retrying. The
+    // error of a connection that was going to be retried is expected
+    var retryCancelled = !!self._connectRetryTimeout;
+    clearTimeout(self._connectRetryTimeout);
+    self._connectRetryTimeout = null;
+    if (err) return callback(retryCancelled ? null : err);
     self._mongoClient.close()
       .then(function() {
         return self._mongoPollClient && self._mongoPollClient.close();
@@ -205,20 +503,149 @@ ShareDbMongo.prototype.close = function(callback) {
 ShareDbMongo.prototype.commit = function(collectionName, id, op, snapshot, options, callback) {
   var self = this;
   var request = createRequestForMiddleware(options, collectionName, op);
-  this._writeOp(collectionName, id, op, snapshot, function(err, result) {
+  var err = this._checkShardKeyData(collectionName, id, snapshot);
+  if (err) return callback(err);
+  this._setDocType(collectionName, id, snapshot.type);
+  // Sessions are started from the client, so wait for it to be connected
+  this.getDbs(function(err) {
     if (err) return callback(err);
-    var opId = result.insertedId;
-    self._writeSnapshot(request, id, snapshot, opId, function(err, succeeded) {
-      if (succeeded) return callback(err, succeeded);
+    if (self.transactions && !self._transactionsUnsupported) {
+      return self._commitTransaction(request, id, op, snapshot, callback);
+    }
+    self._commitOptimistic(request, id, op, snapshot, callback);
+  });
+};
+
+ShareDbMongo.prototype._commitOptimistic = function(request, id, op, snapshot, callback) {
+  var self = this;
+  // A session is only needed to capture the operation time of the commit, for
+  // polls of a separate polling db to read after
+  var session = (this.causalConsistency && this._mongoPollClient) ?
+    this._mongoClient.startSession({causalConsistency: true}) :
+    null;
+  var writeOptions = session && {session: session};
+  var opId;
+  var finish = function(err, succeeded) {
+    if (session) {
+      self._advanceLastWriteTime(session);
+      session.endSession();
+    }
+    if (err) return callback(err, succeeded);
+    self._triggerAfterWrite(request, opId, succeeded, function() {
+      callback(null, succeeded);
+    });
+  };
+  this._writeOp(request, id, op, snapshot, writeOptions, function(err, result) {
+    if (err) return finish(err);
+    opId = result.insertedId;
+    self._writeSnapshot(request, id, snapshot, opId, writeOptions, function(err, succeeded) {
+      if (succeeded) return finish(err, succeeded);
       // Cleanup unsuccessful op if snapshot write failed. This is not
       // necessary for data correctness, but it gets rid of clutter
-      self._deleteOp(request.collectionName, opId, function(removeErr) {
-        callback(err || removeErr, succeeded);
+      self._deleteOp(request, id, opId, function(removeErr) {
+        finish(err || removeErr, succeeded);
       });
     });
   });
 };
 
+// Write the op and the snapshot in a single transaction, so that an op is
+// only ever persisted together with the snapshot that links to it
+ShareDbMongo.prototype._commitTransaction = function(request, id, op, snapshot, callback) {
+  var self = this;
+  var session = this._mongoClient.startSession();
+  var succeeded = false;
+  var opId;
+  session.withTransaction(function() {
+    return new Promise(function(resolve, reject) {
+      var writeOptions = {session: session};
+      self._writeOp(request, id, op, snapshot, writeOptions, function(err, result) {
+        if (err) return reject(err);
+        opId = result.insertedId;
+        self._writeSnapshot(request, id, snapshot, opId, writeOptions, function(err, snapshotWritten) {
+          if (err) return reject(err);
+          succeeded = snapshotWritten;
+          // Another commit won the race for this version. Abort, so that our
+          // op never becomes visible instead of cleaning it up afterwards
+          if (!succeeded) return session.abortTransaction().then(resolve, reject);
+          resolve();
+        });
+      });
+    });
+  })
+    .then(function() {
+      self._advanceLastWriteTime(session);
+      return session.endSession();
+    })
+    .then(function() {
+      self._triggerAfterWrite(request, opId, succeeded, function() {
+        callback(null, succeeded);
+      });
+    }, function(err) {
+      session.endSession();
+      if (!isTransactionsUnsupportedError(err)) return callback(err);
+      // Nothing was written, so it is safe to retry without a transaction
+      self._transactionsUnsupported = true;
+      self._commitOptimistic(request, id, op, snapshot, callback);
+    });
+};
+
+// Trigger the afterCreate or afterOverwrite action and then the afterCommit
+// action, once the outcome of the commit is final. Middleware errors are
+// passed to onAfterWriteError and never change the result of the commit
+ShareDbMongo.prototype._triggerAfterWrite = function(commitRequest, opId, succeeded, callback) {
+  var self = this;
+  var documentToWrite = commitRequest.documentToWrite;
+  var writeAction = (documentToWrite._v === 1) ?
+    MiddlewareHandler.Actions.afterCreate :
+    MiddlewareHandler.Actions.afterOverwrite;
+  var writeRequest = createAfterWriteRequest(commitRequest, opId, succeeded);
+  this._middleware.trigger(writeAction, writeRequest, function(middlewareErr) {
+    if (middlewareErr) self.onAfterWriteError(middlewareErr, writeRequest);
+    var afterCommitRequest = createAfterWriteRequest(commitRequest, opId, succeeded);
+    self._middleware.trigger(MiddlewareHandler.Actions.afterCommit, afterCommitRequest, function(middlewareErr) {
+      if (middlewareErr) self.onAfterWriteError(middlewareErr, afterCommitRequest);
+      callback();
+    });
+  });
+};
+
+function createAfterWriteRequest(commitRequest, opId, succeeded) {
+  var request = createRequestForMiddleware(commitRequest.options, commitRequest.collectionName, commitRequest.op);
+  request.documentToWrite = commitRequest.documentToWrite;
+  if (commitRequest.query) request.query = commitRequest.query;
+  request.opId = opId;
+  request.succeeded = succeeded;
+  return request;
+}
+
+function logAfterWriteError(err, request) {
+  logger.error('Error in ' + request.action + ' middleware for ' + request.collectionName + ':', err);
+}
+
+function isTransactionsUnsupportedError(err) {
+  // Standalone servers reject transactions with an IllegalOperation error
+  return err.code === 20 && /Transaction numbers/.test(err.message);
+}
+
+// Keep track of the latest operation time and cluster time seen by a commit
+// session, so that causally consistent polls can read after them
+ShareDbMongo.prototype._advanceLastWriteTime = function(session) {
+  var operationTime = session.operationTime;
+  if (operationTime && (!this._lastOperationTime || operationTime.greaterThan(this._lastOperationTime))) {
+    this._lastOperationTime = operationTime;
+  }
+  var clusterTime = session.clusterTime;
+  if (
+    clusterTime && (
+      !this._lastClusterTime ||
+      clusterTime.clusterTime.greaterThan(this._lastClusterTime.clusterTime)
+    )
+  ) {
+    this._lastClusterTime = clusterTime;
+  }
+};
+
 function createRequestForMiddleware(options, collectionName, op, fields) {
   // Create a new request object which will be passed to helper functions and middleware
   var request = {
@@ -236,44 +663,62 @@ function createRequestForMiddleware(options, collectionName, op, fields) {
   return request;
 }
 
-ShareDbMongo.prototype._writeOp = function(collectionName, id, op, snapshot, callback) {
+ShareDbMongo.prototype._writeOp = function(commitRequest, id, op, snapshot, writeOptions, callback) {
+  var collectionName = commitRequest.collectionName;
   if (typeof op.v !== 'number') {
     var err = ShareDbMongo.invalidOpVersionError(collectionName, id, op.v);
     return callback(err);
   }
-  this.getOpCollection(collectionName, function(err, opCollection) {
+  var self = this;
+  this.getOpCollection(collectionName, commitRequest.options, function(err, opCollection) {
     if (err) return callback(err);
     var doc = shallowClone(op);
     doc.d = id;
     doc.o = snapshot._opLink;
-    opCollection.insertOne(doc)
-      .then(function(result) {
-        callback(null, result);
-      }, callback);
+    // Mark ops written in a transaction, since they are known to be canonical
+    if (writeOptions && writeOptions.session && writeOptions.session.inTransaction()) doc.tx = true;
+    self._addOpKey(collectionName, id, snapshot, doc);
+    var request = createRequestForMiddleware(commitRequest.options, collectionName, op);
+    request.documentToWrite = doc;
+    self._middleware.trigger(MiddlewareHandler.Actions.beforeOpInsert, request, function(middlewareErr) {
+      if (middlewareErr) return callback(middlewareErr);
+      opCollection.insertOne(request.documentToWrite, writeOptions)
+        .then(function(result) {
+          callback(null, result);
+        }, callback);
+    });
   });
 };
 
-ShareDbMongo.prototype._deleteOp = function(collectionName, opId, callback) {
-  this.getOpCollection(collectionName, function(err, opCollection) {
+ShareDbMongo.prototype._deleteOp = function(commitRequest, id, opId, callback) {
+  var self = this;
+  var collectionName = commitRequest.collectionName;
+  this.getOpCollection(collectionName, commitRequest.options, function(err, opCollection) {
     if (err) return callback(err);
-    opCollection.deleteOne({_id: opId})
-      .then(function(result) {
-        callback(null, result);
-      }, callback);
+    var request = createRequestForMiddleware(commitRequest.options, collectionName, commitRequest.op);
+    request.query = self._addOpKey(collectionName, id, null, {_id: opId});
+    self._middleware.trigger(MiddlewareHandler.Actions.beforeOpDelete, request, function(middlewareErr) {
+      if (middlewareErr) return callback(middlewareErr);
+      opCollection.deleteOne(request.query)
+        .then(function(result) {
+          callback(null, result);
+        }, callback);
+    });
   });
 };
 
-ShareDbMongo.prototype._writeSnapshot = function(request, id, snapshot, opId, callback) {
+ShareDbMongo.prototype._writeSnapshot = function(request, id, snapshot, opId, writeOptions, callback) {
   var self = this;
-  this.getCollection(request.collectionName, function(err, collection) {
+  this.getCollection(request.collectionName, request.options, function(err, collection) {
     if (err) return callback(err);
     request.documentToWrite = castToDoc(id, snapshot, opId);
+    self._addShardKey(request.collectionName, id, snapshot, request.documentToWrite);
     if (request.documentToWrite._v === 1) {
       self._middleware.trigger(MiddlewareHandler.Actions.beforeCreate, request, function(middlewareErr) {
         if (middlewareErr) {
           return callback(middlewareErr);
         }
-        collection.insertOne(request.documentToWrite)
+        collection.insertOne(request.documentToWrite, writeOptions)
           .then(
             function() {
               callback(null, true);
@@ -289,12 +734,13 @@ ShareDbMongo.prototype._writeSnapshot = function(request, id, snapshot, opId, ca
           );
       });
     } else {
-      request.query = {_id: id, _v: request.documentToWrite._v - 1};
+      var query = {_id: id, _v: request.documentToWrite._v - 1};
+      request.query = self._addShardKey(request.collectionName, id, snapshot, query);
       self._middleware.trigger(MiddlewareHandler.Actions.beforeOverwrite, request, function(middlewareErr) {
         if (middlewareErr) {
           return callback(middlewareErr);
         }
-        collection.replaceOne(request.query, request.documentToWrite)
+        collection.replaceOne(request.query, request.documentToWrite, writeOptions)
           .then(function(result) {
             var succeeded = !!result.modifiedCount;
             callback(null, succeeded);
@@ -309,9 +755,9 @@ ShareDbMongo.prototype._writeSnapshot = function(request, id, snapshot, opId, ca
 
 ShareDbMongo.prototype.getSnapshot = function(collectionName, id, fields, options, callback) {
   var self = this;
-  this.getCollection(collectionName, function(err, collection) {
+  this.getCollection(collectionName, options, function(err, collection) {
     if (err) return callback(err);
-    var query = {_id: id};
+    var query = self._addShardKey(collectionName, id, null, {_id: id});
     var projection = getProjection(fields, options);
     var request = createRequestForMiddleware(options, collectionName, null, fields);
     request.query = query;
@@ -329,9 +775,9 @@ ShareDbMongo.prototype.getSnapshot = function(collectionName, id, fields, option
 
 ShareDbMongo.prototype.getSnapshotBulk = function(collectionName, ids, fields, options, callback) {
   var self = this;
-  this.getCollection(collectionName, function(err, collection) {
+  this.getCollection(collectionName, options, function(err, collection) {
     if (err) return callback(err);
-    var query = {_id: {$in: ids}};
+    var query = self._getIdsQuery(collectionName, ids);
     var projection = getProjection(fields, options);
     var request = createRequestForMiddleware(options, collectionName, null, fields);
     request.query = query;
@@ -359,26 +805,79 @@ ShareDbMongo.prototype.getSnapshotBulk = function(collectionName, ids, fields, o
 
 // **** Oplog methods
 
-// Overwrite me if you want to change this behaviour.
+// Configured with the snapshotCollectionName option, or overwrite me if you
+// want to change this behaviour.
+ShareDbMongo.prototype.getSnapshotCollectionName = function(collectionName) {
+  return this._snapshotCollectionNames.map(collectionName);
+};
+
+// Configured with the opCollectionName option, or overwrite me if you want to
+// change this behaviour.
 ShareDbMongo.prototype.getOplogCollectionName = function(collectionName) {
-  return 'o_' + collectionName;
+  return this._opCollectionNames.map(collectionName);
 };
 
+// Overwrite me if you want to change this behaviour.
+ShareDbMongo.prototype.getMilestoneCollectionName = function(collectionName) {
+  return 'm_' + collectionName;
+};
+
+// Rejects collections whose snapshot collection could be the op collection of
+// another collection. A function mapping can't be inverted, so only the
+// collection's own op collection is checked against it
 ShareDbMongo.prototype.validateCollectionName = function(collectionName) {
-  if (
-    collectionName === 'system' || (
-      collectionName[0] === 'o' &&
-      collectionName[1] === '_'
-    )
-  ) {
+  var snapshotCollectionName = this.getSnapshotCollectionName(collectionName);
+  var opCollectionNames = this._opCollectionNames;
+  var isOpCollectionName = (opCollectionNames.prefix == null) ?
+    snapshotCollectionName === this.getOplogCollectionName(collectionName) :
+    hasAffixes(snapshotCollectionName, opCollectionNames.prefix, opCollectionNames.suffix);
+  // With a milestone db, the milestones of each collection are in collections
+  // with the m_ prefix, unless getMilestoneCollectionName is overwritten
+  var isMilestoneCollectionName = this._hasMilestoneDb && (
+    (this.getMilestoneCollectionName === ShareDbMongo.prototype.getMilestoneCollectionName) ?
+      hasAffixes(snapshotCollectionName, 'm_', '') :
+      snapshotCollectionName === this.getMilestoneCollectionName(collectionName)
+  );
+  if (snapshotCollectionName === 'system' || isOpCollectionName || isMilestoneCollectionName) {
     return ShareDbMongo.invalidCollectionError(collectionName);
   }
 };
 
+// Returns {map, prefix, suffix} for the snapshotCollectionName and
+// opCollectionName options, where prefix and suffix are null for functions
+function createCollectionNameMapping(option, defaultOption) {
+  option = option || defaultOption;
+  if (typeof option === 'function') {
+    return {map: option, prefix: null, suffix: null};
+  }
+  if (!isPlainObject(option)) {
+    throw new Error('Collection name mappings must be a function or an object with a prefix and/or suffix');
+  }
+  var prefix = option.prefix || '';
+  var suffix = option.suffix || '';
+  return {
+    map: function(collectionName) {
+      return prefix + collectionName + suffix;
+    },
+    prefix: prefix,
+    suffix: suffix
+  };
+}
+
+function hasAffixes(name, prefix, suffix) {
+  return name.length >= prefix.length + suffix.length &&
+    name.slice(0, prefix.length) === prefix &&
+    name.slice(name.length - suffix.length) === suffix;
+}
+
 // Get and return the op collection from mongo, ensuring it has the op index.
-ShareDbMongo.prototype.getOpCollection = function(collectionName, callback) {
+ShareDbMongo.prototype.getOpCollection = function(collectionName, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
   var self = this;
-  this.getDbs(function(err, mongo) {
+  this._getDbsFor(options, function(err, mongo) {
     if (err) return callback(err);
     var name = self.getOplogCollectionName(collectionName);
     var collection = mongo.collection(name);
@@ -387,7 +886,8 @@ ShareDbMongo.prototype.getOpCollection = function(collectionName, callback) {
     if (self.disableIndexCreation === true) {
       return callback(null, collection);
     }
-    if (self.opIndexes[collectionName]) {
+    var dbOpIndexes = self.opIndexes[mongo.databaseName] || (self.opIndexes[mongo.databaseName] = {});
+    if (dbOpIndexes[name]) {
       return callback(null, collection);
     }
     // WARNING: Creating indexes automatically like this is quite dangerous in
@@ -400,13 +900,16 @@ ShareDbMongo.prototype.getOpCollection = function(collectionName, callback) {
     // when there is a lot of data in the collection.
 
     var disabledIndexes = self.disableIndexCreation || {};
+    // The ops in a shared op collection are always queried by collection too
+    var prefix = (self.sharedOpCollection) ? {c: 1} : {};
     var promises = [
-      collection.createIndex({d: 1, v: 1}, {background: true}),
-      !disabledIndexes.src_seq_v && collection.createIndex({src: 1, seq: 1, v: 1}, {background: true})
+      collection.createIndex(Object.assign({}, prefix, {d: 1, v: 1}), {background: true}),
+      !disabledIndexes.src_seq_v &&
+        collection.createIndex(Object.assign({}, prefix, {src: 1, seq: 1, v: 1}), {background: true})
     ];
     Promise.all(promises)
       .then(function() {
-        self.opIndexes[collectionName] = true;
+        dbOpIndexes[name] = true;
         callback(null, collection);
       }, callback);
   });
@@ -420,6 +923,8 @@ ShareDbMongo.prototype.getOpsToSnapshot = function(collectionName, id, from, sna
   var options = Object.assign({}, options);
   var to = null;
   this._getOps(collectionName, id, from, to, options, function(err, ops) {
+    if (err) return callback(err);
+    var err = checkOpsAvailable(collectionName, id, ops, from, to);
     if (err) return callback(err);
     var filtered = getLinkedOps(ops, null, snapshot._opLink);
     var err = null;
@@ -432,6 +937,36 @@ ShareDbMongo.prototype.getOpsToSnapshot = function(collectionName, id, from, sna
 };
 
 ShareDbMongo.prototype.getOps = function(collectionName, id, from, to, options, callback) {
+  if (this.transactions) return this._getTransactionalOps(collectionName, id, from, to, options, callback);
+  this._getOpsFromOpLink(collectionName, id, from, to, options, callback);
+};
+
+// Ops written in a transaction are always canonical, so if every op we find
+// was written in one, we can return them directly instead of working
+// backwards along the op links from the snapshot
+ShareDbMongo.prototype._getTransactionalOps = function(collectionName, id, from, to, options, callback) {
+  var self = this;
+  var options = Object.assign({}, options);
+  this._getOps(collectionName, id, from, to, options, function(err, ops) {
+    if (err) return callback(err);
+    // Compacted ops are never marked, and leave ops missing, so follow the op
+    // links to find out whether ops are missing because they were compacted
+    if (!ops.length || !allOpsTransactional(ops) || !areOpsContiguous(ops, to)) {
+      return self._getOpsFromOpLink(collectionName, id, from, to, options, callback);
+    }
+    for (var i = 0; i < ops.length; i++) {
+      cleanOp(ops[i]);
+    }
+    var err = null;
+    if (!options.ignoreMissingOps) {
+      err = checkOpsFrom(collectionName, id, ops, from);
+    }
+    if (err) return callback(err);
+    callback(null, ops);
+  });
+};
+
+ShareDbMongo.prototype._getOpsFromOpLink = function(collectionName, id, from, to, options, callback) {
   var self = this;
   var options = Object.assign({}, options);
   this._getOpLink(collectionName, id, to, options, function(err, opLink) {
@@ -449,6 +984,8 @@ ShareDbMongo.prototype.getOps = function(collectionName, id, from, to, options,
     }
 
     self._getOps(collectionName, id, from, fetchOpsTo, options, function(err, ops) {
+      if (err) return callback(err);
+      var err = checkOpsAvailable(collectionName, id, ops, from, to);
       if (err) return callback(err);
       var filtered = filterOps(ops, opLink, to);
       var err = null;
@@ -483,7 +1020,7 @@ ShareDbMongo.prototype.getOpsBulk = function(collectionName, fromMap, toMap, opt
         var err = checkDocHasOp(collectionName, id, doc);
         if (err) return callback(err);
       }
-      var condition = getOpsQuery(id, from);
+      var condition = self._addOpKey(collectionName, id, null, getOpsQuery(id, from));
       conditions.push(condition);
     }
     // Return right away if none of the snapshot versions are newer than the
@@ -498,6 +1035,8 @@ ShareDbMongo.prototype.getOpsBulk = function(collectionName, fromMap, toMap, opt
         var doc = docMap[id];
         var from = fromMap[id];
         var to = toMap && toMap[id];
+        var err = checkOpsAvailable(collectionName, id, ops, from, to);
+        if (err) return callback(err);
         var filtered = filterOps(ops, doc, to);
         var err = checkOpsFrom(collectionName, id, filtered, from);
         if (err) return callback(err);
@@ -510,39 +1049,45 @@ ShareDbMongo.prototype.getOpsBulk = function(collectionName, fromMap, toMap, opt
 
 ShareDbMongo.prototype.getCommittedOpVersion = function(collectionName, id, snapshot, op, options, callback) {
   var self = this;
-  this.getOpCollection(collectionName, function(err, opCollection) {
+  this.getOpCollection(collectionName, options, function(err, opCollection) {
     if (err) return callback(err);
-    var query = {
+    var query = self._addOpKey(collectionName, id, null, {
       src: op.src,
       seq: op.seq
-    };
-    var projection = {v: 1, _id: 0};
+    });
+    var projection = {v: 1, cv: 1, _id: 0};
     var sort = {v: 1};
-    // Find the earliest version at which the op may have been committed.
-    // Since ops are optimistically written prior to writing the snapshot, the
-    // op could end up being written multiple times or have been written but
-    // not count as committed if not backreferenced from the snapshot
-    opCollection.find(query).project(projection).sort(sort).limit(1).next()
-      .then(function(doc) {
-        // If we find no op with the same src and seq, we definitely don't have
-        // any match. This should prevent us from accidentally querying a huge
-        // history of ops
-        if (!doc) return callback();
-        // If we do find an op with the same src and seq, we still have to get
-        // the ops from the snapshot to figure out if the op was actually
-        // committed already, and at what version in case of multiple matches
-        var from = doc.v;
-        self.getOpsToSnapshot(collectionName, id, from, snapshot, options, function(err, ops) {
-          if (err) return callback(err);
-          for (var i = ops.length; i--;) {
-            var item = ops[i];
-            if (op.src === item.src && op.seq === item.seq) {
-              return callback(null, item.v);
+    var request = createRequestForMiddleware(options, collectionName, op);
+    request.query = query;
+    self._middleware.trigger(MiddlewareHandler.Actions.beforeOpsLookup, request, function(middlewareErr) {
+      if (middlewareErr) return callback(middlewareErr);
+      // Find the earliest version at which the op may have been committed.
+      // Since ops are optimistically written prior to writing the snapshot, the
+      // op could end up being written multiple times or have been written but
+      // not count as committed if not backreferenced from the snapshot
+      opCollection.find(request.query, request.findOptions).project(projection).sort(sort).limit(1).next()
+        .then(function(doc) {
+          // If we find no op with the same src and seq, we definitely don't have
+          // any match. This should prevent us from accidentally querying a huge
+          // history of ops
+          if (!doc) return callback();
+          // If we do find an op with the same src and seq, we still have to get
+          // the ops from the snapshot to figure out if the op was actually
+          // committed already, and at what version in case of multiple matches
+          // Compacted ops can only be fetched from the start of their run
+          var from = (doc.cv != null) ? doc.cv : doc.v;
+          self.getOpsToSnapshot(collectionName, id, from, snapshot, options, function(err, ops) {
+            if (err) return callback(err);
+            for (var i = ops.length; i--;) {
+              var item = ops[i];
+              if (op.src === item.src && op.seq === item.seq) {
+                return callback(null, item.v);
+              }
             }
-          }
-          callback();
-        });
-      }, callback);
+            callback();
+          });
+        }, callback);
+    });
   });
 };
 
@@ -624,14 +1169,152 @@ function getLinkedOps(ops, to, link) {
     if (link.equals ? !link.equals(op._id) : link !== op._id) continue;
     link = op.o;
     if (to == null || op.v < to) {
-      delete op._id;
-      delete op.o;
-      linkedOps.push(op);
+      cleanOp(op);
+      if (op.cv == null) {
+        linkedOps.push(op);
+        continue;
+      }
+      var expandedOps = expandCompactedOp(op);
+      for (var j = expandedOps.length; j--;) {
+        linkedOps.push(expandedOps[j]);
+      }
     }
   }
   return linkedOps.reverse();
 }
 
+// A compacted op stands for the versions from its `cv` to its `v`. It is
+// returned as the composed op at the first of these versions, followed by
+// no-ops, so that there is still one op per version
+function expandCompactedOp(op) {
+  var composedOp = shallowClone(op);
+  composedOp.v = op.cv;
+  delete composedOp.cv;
+  delete composedOp.src;
+  delete composedOp.seq;
+  var expandedOps = [composedOp];
+  for (var v = op.cv + 1; v <= op.v; v++) {
+    expandedOps.push({v: v});
+  }
+  // The src and seq are those of the op at the last version
+  if (op.src != null) {
+    var lastOp = expandedOps[expandedOps.length - 1];
+    lastOp.src = op.src;
+    lastOp.seq = op.seq;
+  }
+  return expandedOps;
+}
+
+// Ops can't be returned from a version before the history of the doc was
+// truncated, or from or to a version in the middle of a compacted op
+function checkOpsAvailable(collectionName, id, ops, from, to) {
+  if (!ops) return;
+  for (var i = 0; i < ops.length; i++) {
+    var op = ops[i];
+    if (op.baseline && (from == null || from <= op.v)) {
+      return ShareDbMongo.historyTruncatedError(collectionName, id, op.v + 1);
+    }
+    if (op.cv == null) continue;
+    if (from != null && from > op.cv && from <= op.v) {
+      return ShareDbMongo.compactedOpsError(collectionName, id, from);
+    }
+    if (to != null && to > op.cv && to <= op.v) {
+      return ShareDbMongo.compactedOpsError(collectionName, id, to);
+    }
+  }
+}
+
+function areOpsContiguous(ops, to) {
+  for (var i = 1; i < ops.length; i++) {
+    if (ops[i].v !== ops[i - 1].v + 1) return false;
+  }
+  return to == null || ops[ops.length - 1].v === to - 1;
+}
+
+function allOpsTransactional(ops) {
+  for (var i = 0; i < ops.length; i++) {
+    if (!ops[i].tx) return false;
+  }
+  return true;
+}
+
+// Remove the fields that are only for use internal to sharedb-mongo
+function cleanOp(op) {
+  delete op._id;
+  delete op.c;
+  delete op.o;
+  delete op.tx;
+}
+
+// Add the fields that identify the ops of a doc to an op document or query:
+// the collection name when ops are stored in a shared op collection, and the
+// shard key fields
+ShareDbMongo.prototype._addOpKey = function(collectionName, id, snapshot, target) {
+  if (this.sharedOpCollection) target.c = collectionName;
+  return this._addShardKey(collectionName, id, snapshot, target);
+};
+
+// Query for all the ops of a collection
+ShareDbMongo.prototype._getCollectionOpsQuery = function(collectionName) {
+  return (this.sharedOpCollection) ? {c: collectionName} : {};
+};
+
+// Add the shard key fields of a doc to a document or query, if its collection
+// has a shard key
+ShareDbMongo.prototype._addShardKey = function(collectionName, id, snapshot, target) {
+  var shardKey = this.shardKey[collectionName];
+  if (!shardKey) return target;
+  var fields = shardKey(id, snapshot || undefined);
+  for (var key in fields) {
+    target[key] = fields[key];
+  }
+  return target;
+};
+
+// The shard key fields are written next to the data of JSON snapshots, so
+// return an error if they would overwrite a field of the data or add one
+ShareDbMongo.prototype._checkShardKeyData = function(collectionName, id, snapshot) {
+  var shardKey = this.shardKey[collectionName];
+  if (!shardKey || !isObject(snapshot.data)) return;
+  var fields = shardKey(id, snapshot);
+  for (var key in fields) {
+    if (!isSameValue(snapshot.data[key], fields[key])) {
+      return ShareDbMongo.shardKeyMismatchError(collectionName, id, key);
+    }
+  }
+};
+
+// Remove the shard key fields of a doc from an op read from the database, so
+// that they don't reach clients
+ShareDbMongo.prototype._removeShardKey = function(collectionName, id, op) {
+  var shardKey = this.shardKey[collectionName];
+  if (!shardKey) return op;
+  var fields = shardKey(id, undefined);
+  for (var key in fields) {
+    delete op[key];
+  }
+  return op;
+};
+
+// Query for the snapshots of a list of ids. With a shard key, each id is
+// matched together with its shard key fields
+ShareDbMongo.prototype._getIdsQuery = function(collectionName, ids) {
+  if (!this.shardKey[collectionName] || !ids.length) return {_id: {$in: ids}};
+  var self = this;
+  var conditions = ids.map(function(id) {
+    return self._addShardKey(collectionName, id, null, {_id: id});
+  });
+  return {$or: conditions};
+};
+
+// Options for getting ops with their metadata, keeping the other options so
+// that the ops are looked up in the same way
+function getOpsMetadataOptions(options) {
+  var metadataOptions = shallowClone(options);
+  metadataOptions.metadata = true;
+  return metadataOptions;
+}
+
 function getOpsQuery(id, from, to) {
   from = from == null ? 0 : from;
   var query = {
@@ -647,30 +1330,54 @@ function getOpsQuery(id, from, to) {
 }
 
 ShareDbMongo.prototype._getOps = function(collectionName, id, from, to, options, callback) {
-  this.getOpCollection(collectionName, function(err, opCollection) {
+  var self = this;
+  this.getOpCollection(collectionName, options, function(err, opCollection) {
     if (err) return callback(err);
-    var query = getOpsQuery(id, from, to);
+    var query = self._addOpKey(collectionName, id, null, getOpsQuery(id, from, to));
     // Exclude the `d` field, which is only for use internal to livedb-mongo.
     // Also exclude the `m` field, which can be used to store metadata on ops
     // for tracking purposes
     var projection = (options && options.metadata) ? {d: 0} : {d: 0, m: 0};
     var sort = {v: 1};
-    opCollection.find(query).project(projection).sort(sort).toArray()
-      .then(function(result) {
-        callback(null, result);
-      }, callback);
+    var request = createRequestForMiddleware(options, collectionName);
+    request.query = query;
+    self._middleware.trigger(MiddlewareHandler.Actions.beforeOpsLookup, request, function(middlewareErr) {
+      if (middlewareErr) return callback(middlewareErr);
+      opCollection.find(request.query, request.findOptions).project(projection).sort(sort).toArray()
+        .then(function(result) {
+          for (var i = 0; i < result.length; i++) {
+            self._removeShardKey(collectionName, id, result[i]);
+          }
+          callback(null, result);
+        }, callback);
+    });
   });
 };
 
 ShareDbMongo.prototype._getOpsBulk = function(collectionName, conditions, options, callback) {
-  this.getOpCollection(collectionName, function(err, opCollection) {
+  var self = this;
+  this.getOpCollection(collectionName, options, function(err, opCollection) {
     if (err) return callback(err);
     var query = {$or: conditions};
     // Exclude the `m` field, which can be used to store metadata on ops for
     // tracking purposes
     var projection = (options && options.metadata) ? null : {m: 0};
-    var stream = opCollection.find(query).project(projection).stream();
-    readOpsBulk(stream, callback);
+    var request = createRequestForMiddleware(options, collectionName);
+    request.query = query;
+    self._middleware.trigger(MiddlewareHandler.Actions.beforeOpsLookup, request, function(middlewareErr) {
+      if (middlewareErr) return callback(middlewareErr);
+      var stream = opCollection.find(request.query, request.findOptions).project(projection).stream();
+      readOpsBulk(stream, function(err, opsMap) {
+        if (err) return callback(err);
+        for (var id in opsMap) {
+          var ops = opsMap[id];
+          for (var i = 0; i < ops.length; i++) {
+            self._removeShardKey(collectionName, id, ops[i]);
+          }
+        }
+        callback(null, opsMap);
+      });
+    });
   });
 };
 
@@ -700,6 +1407,7 @@ function readOpsBulk(stream, callback) {
       opsMap[id] = [op];
     }
     delete op.d;
+    delete op.c;
   });
 }
 
@@ -707,7 +1415,7 @@ ShareDbMongo.prototype._getOpLink = function(collectionName, id, to, options, ca
   if (!this.getOpsWithoutStrictLinking) return this._getSnapshotOpLink(collectionName, id, options, callback);
 
   var db = this;
-  this.getOpCollection(collectionName, function(error, collection) {
+  this.getOpCollection(collectionName, options, function(error, collection) {
     if (error) return callback(error);
 
     // If to is null, we want the most recent version, so just return the
@@ -716,10 +1424,10 @@ ShareDbMongo.prototype._getOpLink = function(collectionName, id, to, options, ca
       return db._getSnapshotOpLink(collectionName, id, options, callback);
     }
 
-    var query = {
+    var query = db._addOpKey(collectionName, id, null, {
       d: id,
       v: {$gte: to}
-    };
+    });
 
     var projection = {
       _id: 0,
@@ -727,15 +1435,20 @@ ShareDbMongo.prototype._getOpLink = function(collectionName, id, to, options, ca
       o: 1
     };
 
-    var cursor = collection.find(query).sort({v: 1}).project(projection);
+    var request = createRequestForMiddleware(options, collectionName);
+    request.query = query;
+    db._middleware.trigger(MiddlewareHandler.Actions.beforeOpsLookup, request, function(middlewareErr) {
+      if (middlewareErr) return callback(middlewareErr);
+      var cursor = collection.find(request.query, request.findOptions).sort({v: 1}).project(projection);
 
-    getFirstOpWithUniqueVersion(cursor, null, function(error, op) {
-      if (error) return callback(error);
-      if (op) return callback(null, {_o: op.o, _v: op.v});
+      getFirstOpWithUniqueVersion(cursor, null, function(error, op) {
+        if (error) return callback(error);
+        if (op) return callback(null, {_o: op.o, _v: op.v});
 
-      // If we couldn't find an op to link back from, then fall back to using the current
-      // snapshot, which is guaranteed to have a link to a valid op.
-      db._getSnapshotOpLink(collectionName, id, options, callback);
+        // If we couldn't find an op to link back from, then fall back to using the current
+        // snapshot, which is guaranteed to have a link to a valid op.
+        db._getSnapshotOpLink(collectionName, id, options, callback);
+      });
     });
   });
 };
@@ -778,9 +1491,9 @@ function closeCursor(cursor, callback, error, returnValue) {
 
 ShareDbMongo.prototype._getSnapshotOpLink = function(collectionName, id, options, callback) {
   var self = this;
-  this.getCollection(collectionName, function(err, collection) {
+  this.getCollection(collectionName, options, function(err, collection) {
     if (err) return callback(err);
-    var query = {_id: id};
+    var query = self._addShardKey(collectionName, id, null, {_id: id});
     var projection = {_id: 0, _o: 1, _v: 1};
 
     var request = createRequestForMiddleware(options, collectionName);
@@ -795,21 +1508,812 @@ ShareDbMongo.prototype._getSnapshotOpLink = function(collectionName, id, options
   });
 };
 
-ShareDbMongo.prototype._getSnapshotOpLinkBulk = function(collectionName, ids, options, callback) {
+ShareDbMongo.prototype._getSnapshotOpLinkBulk = function(collectionName, ids, options, callback) {
+  var self = this;
+  this.getCollection(collectionName, options, function(err, collection) {
+    if (err) return callback(err);
+    var query = self._getIdsQuery(collectionName, ids);
+    var projection = {_o: 1, _v: 1};
+
+    var request = createRequestForMiddleware(options, collectionName);
+    request.query = query;
+    self._middleware.trigger(MiddlewareHandler.Actions.beforeSnapshotLookup, request, function(middlewareErr) {
+      if (middlewareErr) return callback(middlewareErr);
+      collection.find(query, request.findOptions).project(projection).toArray()
+        .then(function(result) {
+          callback(null, result);
+        }, callback);
+    });
+  });
+};
+
+
+// **** Maintenance methods
+
+// Find the ops that are not on the canonical op chain of their doc, and
+// either delete them or move them to a quarantine collection. These are left
+// behind by optimistic commits that lost the race for a version, but failed
+// to clean up their op, for example because the process crashed.
+//
+// Options:
+//   quarantineCollectionName: move orphan ops to this collection instead of
+//     deleting them
+//   batchSize: number of orphan ops deleted or moved at once. Defaults to 100
+//   batchDelay: milliseconds to wait between batches. Defaults to 100
+//   dryRun: only count the orphan ops
+//
+// Calls back with the counts of docs and ops scanned, orphan ops found, ops
+// removed from the ops collection, and docs skipped because their canonical
+// chain can't be determined
+ShareDbMongo.prototype.collectOrphanOps = function(collectionName, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  options = options || {};
+  var self = this;
+  var batchSize = options.batchSize || 100;
+  var batchDelay = (options.batchDelay != null) ? options.batchDelay : 100;
+  var result = {docs: 0, ops: 0, orphans: 0, removed: 0, skipped: 0};
+  var batch = [];
+
+  this.getOpCollection(collectionName, options, function(err, opCollection) {
+    if (err) return callback(err);
+    var projection = {_id: 1, d: 1, v: 1, o: 1, del: 1, cv: 1, 'baseline.type': 1};
+    var query = self._getCollectionOpsQuery(collectionName);
+    var cursor = opCollection.find(query).project(projection).sort({d: 1, v: 1});
+    var id = null;
+    var ops = [];
+
+    function finish(err) {
+      closeCursor(cursor, function(closeErr) {
+        callback(err || closeErr, result);
+      });
+    }
+
+    function next() {
+      cursor.next().then(function(op) {
+        if (op && op.d === id) {
+          ops.push(op);
+          result.ops++;
+          return next();
+        }
+        var docId = id;
+        var docOps = ops;
+        id = op && op.d;
+        ops = op ? [op] : [];
+        if (op) result.ops++;
+        if (docId == null) {
+          return (op) ? next() : removeBatch(finish);
+        }
+        result.docs++;
+        collectDocOrphanOps(docId, docOps, function(err) {
+          if (err) return finish(err);
+          if (!op) return removeBatch(finish);
+          if (batch.length < batchSize) return next();
+          removeBatch(function(err) {
+            if (err) return finish(err);
+            setTimeout(next, batchDelay);
+          });
+        });
+      }, finish);
+    }
+
+    function collectDocOrphanOps(docId, docOps, callback) {
+      self._getSnapshotOpLink(collectionName, docId, options, function(err, doc) {
+        if (err) return callback(err);
+        var orphanOps = getOrphanOps(docOps, doc);
+        if (!orphanOps) {
+          result.skipped++;
+          return callback();
+        }
+        for (var i = 0; i < orphanOps.length; i++) {
+          batch.push(orphanOps[i]);
+        }
+        result.orphans += orphanOps.length;
+        callback();
+      });
+    }
+
+    function removeBatch(callback) {
+      var ops = batch;
+      batch = [];
+      if (!ops.length || options.dryRun) return callback();
+      self._removeOps(collectionName, opCollection, ops, options, function(err, count) {
+        if (err) return callback(err);
+        result.removed += count;
+        callback();
+      });
+    }
+
+    next();
+  });
+};
+
+ShareDbMongo.prototype._removeOps = function(collectionName, opCollection, ops, options, callback) {
+  var query = this._getOpIdsQuery(collectionName, ops);
+  var quarantineCollectionName = options.quarantineCollectionName;
+  var promise = (!quarantineCollectionName) ? Promise.resolve() :
+    this._quarantineOps(collectionName, opCollection, quarantineCollectionName, query, options);
+  promise
+    .then(function() {
+      return opCollection.deleteMany(query);
+    })
+    .then(function(result) {
+      callback(null, result.deletedCount);
+    }, callback);
+};
+
+ShareDbMongo.prototype._quarantineOps = function(
+  collectionName,
+  opCollection,
+  quarantineCollectionName,
+  query,
+  options
+) {
+  var self = this;
+  return opCollection.find(query).toArray().then(function(ops) {
+    if (!ops.length) return;
+    return new Promise(function(resolve, reject) {
+      self._getDbsFor(options, function(err, mongo) {
+        if (err) return reject(err);
+        // Upsert by _id, so that a run interrupted between moving the ops
+        // and deleting them can be repeated
+        var writes = ops.map(function(op) {
+          var filter = self._addOpKey(collectionName, op.d, null, {_id: op._id});
+          return {replaceOne: {filter: filter, replacement: op, upsert: true}};
+        });
+        mongo.collection(quarantineCollectionName).bulkWrite(writes).then(resolve, reject);
+      });
+    });
+  });
+};
+
+// Get a filter for ops by their _id, with the shard key fields of their docs
+ShareDbMongo.prototype._getOpIdsQuery = function(collectionName, ops) {
+  var self = this;
+  if (this.shardKey[collectionName]) {
+    return {$or: ops.map(function(op) {
+      return self._addOpKey(collectionName, op.d, null, {_id: op._id});
+    })};
+  }
+  var opIds = ops.map(function(op) {
+    return op._id;
+  });
+  return this._addOpKey(collectionName, null, null, {_id: {$in: opIds}});
+};
+
+// Return the ops of a doc that are not on its canonical op chain, or
+// undefined if the chain can't be determined. Ops from the head version of
+// the doc onwards may belong to commits still in flight, so they are never
+// considered orphans. Ops behind the head can no longer become canonical,
+// since the snapshot only moves forward. The chain has to lead from the link
+// back to the create op or the baseline of a truncated history: the snapshot
+// may have moved on to an op committed after the ops were read, or may link
+// to an op that is missing, and then every op would look like an orphan
+function getOrphanOps(ops, doc) {
+  var link;
+  var headVersion;
+  if (doc) {
+    if (!doc._o) return;
+    link = doc._o;
+    headVersion = doc._v;
+  } else {
+    // Without a snapshot, the doc should have been deleted, so the chain
+    // ends with the latest delete op, same as in filterOps
+    var deleteOp = getLatestDeleteOp(ops);
+    if (!deleteOp) return;
+    link = deleteOp._id;
+    headVersion = deleteOp.v + 1;
+  }
+  var canonicalOps = getCanonicalOps(ops, link);
+  if (!isCompleteChain(canonicalOps, link)) return;
+  return ops.filter(function(op) {
+    return op.v < headVersion && canonicalOps.indexOf(op) === -1;
+  });
+}
+
+// Same as getLinkedOps, but returns the op documents as they are in the ops
+// collection, including compacted ops
+function getCanonicalOps(ops, link) {
+  var canonicalOps = [];
+  for (var i = ops.length; i-- && link;) {
+    var op = ops[i];
+    if (link.equals ? !link.equals(op._id) : link !== op._id) continue;
+    canonicalOps.push(op);
+    link = op.o;
+  }
+  return canonicalOps.reverse();
+}
+
+function isCompleteChain(canonicalOps, link) {
+  if (!canonicalOps.length) return false;
+  var lastId = canonicalOps[canonicalOps.length - 1]._id;
+  if (link.equals ? !link.equals(lastId) : link !== lastId) return false;
+  // Compacted ops stand for all the versions from their `cv`
+  var first = canonicalOps[0];
+  return !!first.baseline || ((first.cv != null) ? first.cv : first.v) === 0;
+}
+
+// Check the snapshots of a collection against their op chains. Returns an
+// object mode readable stream of reports, one for each doc with issues:
+//
+//   {id: 'doc1', version: 5, issues: [{type: 'gap', from: 2, to: 4}]}
+//
+// Version ranges are from inclusive and to exclusive. The issue types are:
+//   missingLastOperation: the snapshot has no `_o` field (code 5102)
+//   brokenLink: the op chain from the snapshot doesn't lead back to the
+//     create op, so the ops in the range can't be fetched (code 5103)
+//   versionMismatch: the op linked from the snapshot doesn't match its `_v`
+//   duplicateVersion: more than one op was found for the version
+//   gap: no op was found for the versions in the range
+//
+// Options:
+//   query: only check the snapshots matching this Mongo query
+ShareDbMongo.prototype.verify = function(collectionName, options) {
+  options = options || {};
+  var self = this;
+  var cursor = null;
+  var opCollection = null;
+
+  var stream = new Readable({
+    objectMode: true,
+    read: function() {
+      if (cursor) return readNext();
+      self.getCollection(collectionName, options, function(err, collection) {
+        if (err) return stream.destroy(err);
+        var projection = {_id: 1, _v: 1, _o: 1};
+        cursor = collection.find(options.query || {}).project(projection).sort({_id: 1});
+        self.getOpCollection(collectionName, options, function(err, collection) {
+          if (err) return stream.destroy(err);
+          opCollection = collection;
+          readNext();
+        });
+      });
+    },
+    destroy: function(err, callback) {
+      if (!cursor) return callback(err);
+      closeCursor(cursor, function(closeErr) {
+        callback(err || closeErr);
+      });
+    }
+  });
+
+  // Read snapshots until one has issues, since pushing nothing would stall
+  // the stream
+  function readNext() {
+    cursor.next()
+      .then(function(doc) {
+        if (!doc) return stream.push(null);
+        var query = self._addOpKey(collectionName, doc._id, null, {d: doc._id, v: {$lt: doc._v}});
+        var projection = {_id: 1, v: 1, o: 1, cv: 1, 'baseline.type': 1};
+        return opCollection.find(query).project(projection).sort({v: 1}).toArray()
+          .then(function(ops) {
+            var issues = getSnapshotIssues(doc, ops);
+            if (!issues.length) return readNext();
+            stream.push({id: doc._id, version: doc._v, issues: issues});
+          });
+      })
+      .catch(function(err) {
+        stream.destroy(err);
+      });
+  }
+
+  return stream;
+};
+
+// Compare the ops of a doc older than its snapshot with the op chain that
+// getOps would follow
+function getSnapshotIssues(doc, ops) {
+  var issues = [];
+  var versionCounts = {};
+  for (var i = 0; i < ops.length; i++) {
+    // Compacted ops stand for all the versions from their `cv`
+    var op = ops[i];
+    for (var v = (op.cv != null) ? op.cv : op.v; v <= op.v; v++) {
+      versionCounts[v] = (versionCounts[v] || 0) + 1;
+    }
+  }
+  // There are no ops before the baseline of a truncated history
+  var baselineOp = getBaselineOp(ops);
+  var gapFrom = null;
+  for (var v = (baselineOp) ? baselineOp.v : 0; v <= doc._v; v++) {
+    var count = (v < doc._v) ? versionCounts[v] : 1;
+    if (!count) {
+      if (gapFrom == null) gapFrom = v;
+      continue;
+    }
+    if (gapFrom != null) issues.push({type: 'gap', from: gapFrom, to: v});
+    gapFrom = null;
+    if (count > 1) issues.push({type: 'duplicateVersion', from: v, to: v + 1, count: count});
+  }
+
+  if (!doc._o) {
+    issues.push({type: 'missingLastOperation', code: 5102, from: 0, to: doc._v});
+    return issues;
+  }
+  var linkedOps = filterOps(ops, doc, null);
+  if (!linkedOps.length) {
+    issues.push({type: 'brokenLink', code: 5103, from: 0, to: doc._v});
+    return issues;
+  }
+  var headVersion = linkedOps[linkedOps.length - 1].v + 1;
+  if (headVersion !== doc._v) {
+    issues.push({type: 'versionMismatch', from: headVersion, to: doc._v});
+  }
+  // The chain has to go back to the create op or the baseline of a truncated
+  // history without skipping versions
+  var expected = headVersion;
+  for (var i = linkedOps.length; i--;) {
+    var op = linkedOps[i];
+    if (op.v !== expected - 1) break;
+    expected = op.v;
+    if (op.baseline) expected = 0;
+  }
+  if (expected > 0) {
+    issues.push({type: 'brokenLink', code: 5103, from: 0, to: expected});
+  }
+  return issues;
+}
+
+// Rebuild the snapshot of a doc by applying its canonical op chain, and write
+// it in place of the current snapshot, unless that changed in the meantime.
+// The chain is followed back from the `_o` field of the snapshot. If the
+// snapshot is missing or has no `_o`, it starts from the only op at the
+// version before `options.version`, which defaults to the current version of
+// the snapshot, or to the version after the latest op.
+//
+// Calls back with whether the snapshot was written, and the snapshot
+ShareDbMongo.prototype.rebuildSnapshot = function(collectionName, id, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  options = options || {};
+  var self = this;
+  this._getSnapshotToRebuild(collectionName, id, options, function(err, doc) {
+    if (err) return callback(err);
+    self._getOps(collectionName, id, 0, null, getOpsMetadataOptions(options), function(err, ops) {
+      if (err) return callback(err);
+      var version = (options.version != null) ? options.version :
+        (doc) ? doc._v :
+          (ops.length) ? ops[ops.length - 1].v + 1 : 0;
+      // The link of the snapshot is to the op before its own version, so for
+      // an earlier version, follow the chain back to the op before that one
+      var linkFromSnapshot = doc && doc._o && version <= doc._v;
+      var opLink = (linkFromSnapshot) ? getCanonicalOpLink(ops, doc._o, version) :
+        getOnlyOpAtVersion(ops, version - 1);
+      if (!opLink) {
+        var err = (!linkFromSnapshot && version > 0 && getOpsAtVersion(ops, version - 1).length) ?
+          ShareDbMongo.ambiguousOpChainError(collectionName, id, version - 1) :
+          ShareDbMongo.missingOpsError(collectionName, id, 0);
+        return callback(err);
+      }
+      var linkedOps = getLinkedOps(ops, version, opLink);
+      var err = checkLinkedOpsTo(collectionName, id, linkedOps, version);
+      if (err) return callback(err);
+
+      var snapshot = new MongoSnapshot(id, 0, null, undefined, (doc && doc._m) ? shallowClone(doc._m) : null);
+      var err = replayOps(snapshot, linkedOps);
+      if (err) return callback(err);
+      self._writeRebuiltSnapshot(collectionName, doc, snapshot, opLink, options, function(err, succeeded) {
+        if (err) return callback(err);
+        callback(null, succeeded, snapshot);
+      });
+    });
+  });
+};
+
+ShareDbMongo.prototype._getSnapshotToRebuild = function(collectionName, id, options, callback) {
+  var self = this;
+  this.getCollection(collectionName, options, function(err, collection) {
+    if (err) return callback(err);
+    var query = self._addShardKey(collectionName, id, null, {_id: id});
+    var projection = {_id: 0, _v: 1, _o: 1, _m: 1};
+
+    var request = createRequestForMiddleware(options, collectionName);
+    request.query = query;
+    self._middleware.trigger(MiddlewareHandler.Actions.beforeSnapshotLookup, request, function(middlewareErr) {
+      if (middlewareErr) return callback(middlewareErr);
+      collection.find(request.query, request.findOptions).limit(1).project(projection).next()
+        .then(function(result) {
+          callback(null, result);
+        }, callback);
+    });
+  });
+};
+
+// Write the rebuilt snapshot with the same optimistic locking as commits: it
+// replaces the snapshot only if that is still at the version it was read at,
+// or is inserted only if there was no snapshot
+ShareDbMongo.prototype._writeRebuiltSnapshot = function(collectionName, doc, snapshot, opLink, options, callback) {
+  var self = this;
+  this.getCollection(collectionName, options, function(err, collection) {
+    if (err) return callback(err);
+    var err = self._checkShardKeyData(collectionName, snapshot.id, snapshot);
+    if (err) return callback(err);
+    var request = createRequestForMiddleware(options, collectionName);
+    request.documentToWrite = castToDoc(snapshot.id, snapshot, opLink);
+    self._addShardKey(collectionName, snapshot.id, snapshot, request.documentToWrite);
+    if (!doc) {
+      self._middleware.trigger(MiddlewareHandler.Actions.beforeCreate, request, function(middlewareErr) {
+        if (middlewareErr) return callback(middlewareErr);
+        collection.insertOne(request.documentToWrite)
+          .then(function() {
+            callback(null, true);
+          }, function(err) {
+            if (err.code === 11000 && /\b_id_\b/.test(err.message)) {
+              return callback(null, false);
+            }
+            callback(err);
+          });
+      });
+      return;
+    }
+    request.query = self._addShardKey(collectionName, snapshot.id, snapshot, {_id: snapshot.id, _v: doc._v});
+    self._middleware.trigger(MiddlewareHandler.Actions.beforeOverwrite, request, function(middlewareErr) {
+      if (middlewareErr) return callback(middlewareErr);
+      collection.replaceOne(request.query, request.documentToWrite)
+        .then(function(result) {
+          // The rebuilt snapshot may be identical to the current one, so
+          // check whether it matched rather than whether it was modified
+          callback(null, !!result.matchedCount);
+        }, callback);
+    });
+  });
+};
+
+// Check that a chain of ops goes without gaps from the create op, or the
+// baseline of a truncated history, to the version before `version`
+function checkLinkedOpsTo(collectionName, id, linkedOps, version) {
+  var start = (linkedOps[0] && linkedOps[0].baseline) ? linkedOps[0].v : 0;
+  for (var v = start; v < version; v++) {
+    var op = linkedOps[v - start];
+    if (!op || op.v !== v) return ShareDbMongo.missingOpsError(collectionName, id, v);
+  }
+}
+
+// Apply a chain of ops, as returned by getLinkedOps, to a snapshot. The
+// metadata of the snapshot is updated from the timestamps of the ops
+function replayOps(snapshot, linkedOps) {
+  for (var i = 0; i < linkedOps.length; i++) {
+    var op = linkedOps[i];
+    if (op.baseline) {
+      snapshot.v = op.v + 1;
+      snapshot.type = op.baseline.type;
+      snapshot.data = op.baseline.data;
+      if (!snapshot.m && op.baseline.m) snapshot.m = shallowClone(op.baseline.m);
+      continue;
+    }
+    var err = ot.apply(snapshot, op);
+    if (err) return err;
+    var ts = op.m && op.m.ts;
+    if (ts == null) continue;
+    snapshot.m = snapshot.m || {};
+    if (op.create) snapshot.m.ctime = ts;
+    snapshot.m.mtime = ts;
+  }
+}
+
+// Get the id of the op before `version` on the chain of ops that leads back
+// from `link`, or null if there is none
+function getCanonicalOpLink(ops, link, version) {
+  var canonicalOps = getCanonicalOps(ops, link);
+  for (var i = canonicalOps.length; i--;) {
+    if (canonicalOps[i].v === version - 1) return canonicalOps[i]._id;
+  }
+  return null;
+}
+
+function getBaselineOp(ops) {
+  for (var i = 0; i < ops.length; i++) {
+    if (ops[i].baseline) return ops[i];
+  }
+}
+
+function getOpsAtVersion(ops, version) {
+  return ops.filter(function(op) {
+    return op.v === version;
+  });
+}
+
+function getOnlyOpAtVersion(ops, version) {
+  var opsAtVersion = getOpsAtVersion(ops, version);
+  return (opsAtVersion.length === 1) ? opsAtVersion[0]._id : null;
+}
+
+// Compose runs of consecutive edit ops older than a cutoff into single ops,
+// using the `compose` function of the OT type, to reduce the size of the ops
+// collection. The composed op replaces the last op of the run, keeping its
+// _id, so that the op after the run still links to it, and links to the op
+// before the run. It records the first version of the run in its `cv` field.
+// Fetching ops from or to a version in the middle of a run fails with a
+// compactedOpsError afterwards.
+//
+// Options:
+//   olderThan: only ops whose `m.ts` is before this timestamp, in
+//     milliseconds, are compacted. Required
+//   query: only compact the ops of the snapshots matching this Mongo query
+//
+// Calls back with the counts of docs checked, runs composed, ops removed, and
+// docs skipped because their op chain is incomplete
+ShareDbMongo.prototype.compactOps = function(collectionName, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  if (!options || options.olderThan == null) {
+    return callback(ShareDbMongo.missingOptionError('compactOps', 'olderThan'));
+  }
+  var self = this;
+  var result = {docs: 0, runs: 0, removed: 0, skipped: 0};
+
+  this.getCollection(collectionName, options, function(err, collection) {
+    if (err) return callback(err);
+    self.getOpCollection(collectionName, options, function(err, opCollection) {
+      if (err) return callback(err);
+      var projection = {_id: 1, _v: 1, _o: 1};
+      var cursor = collection.find(options.query || {}).project(projection).sort({_id: 1});
+
+      function finish(err) {
+        closeCursor(cursor, function(closeErr) {
+          callback(err || closeErr, result);
+        });
+      }
+
+      function next() {
+        cursor.next()
+          .then(function(doc) {
+            if (!doc) return finish();
+            result.docs++;
+            var query = self._addOpKey(collectionName, doc._id, null, {d: doc._id, v: {$lt: doc._v}});
+            return opCollection.find(query).sort({v: 1}).toArray()
+              .then(function(ops) {
+                var canonicalOps = (doc._o) ? getCanonicalOps(ops, doc._o) : [];
+                var runs = getCompactableRuns(canonicalOps, doc._v, options.olderThan);
+                if (!runs) {
+                  result.skipped++;
+                  return;
+                }
+                return compactRuns(self, collectionName, opCollection, runs, result);
+              })
+              .then(next);
+          })
+          .catch(finish);
+      }
+
+      next();
+    });
+  });
+};
+
+// Return the runs of consecutive edit ops older than the cutoff in an op
+// chain, or undefined if the chain doesn't go back to the create op or the
+// baseline of a truncated history. Ops of types without a `compose` function
+// are left alone
+function getCompactableRuns(ops, version, olderThan) {
+  var expected = (ops[0] && ops[0].baseline) ? ops[0].v : 0;
+  for (var i = 0; i < ops.length; i++) {
+    var start = (ops[i].cv != null) ? ops[i].cv : ops[i].v;
+    if (start !== expected) return;
+    expected = ops[i].v + 1;
+  }
+  if (expected !== version) return;
+
+  var runs = [];
+  var run = [];
+  var type = null;
+  for (var i = 0; i < ops.length; i++) {
+    var op = ops[i];
+    if (op.create) type = types.map[op.create.type];
+    if (op.baseline) type = types.map[op.baseline.type];
+    if (op.del) type = null;
+    var compactable = type && type.compose && !op.create && !op.del && !op.baseline &&
+      op.m && op.m.ts < olderThan;
+    if (compactable) {
+      run.type = type;
+      run.push(op);
+      continue;
+    }
+    if (run.length > 1) runs.push(run);
+    run = [];
+  }
+  if (run.length > 1) runs.push(run);
+  return runs;
+}
+
+function compactRuns(db, collectionName, opCollection, runs, result) {
+  var promise = Promise.resolve();
+  runs.forEach(function(run) {
+    promise = promise.then(function() {
+      return compactRun(db, collectionName, opCollection, run);
+    }).then(function(removed) {
+      result.runs++;
+      result.removed += removed;
+    });
+  });
+  return promise;
+}
+
+function compactRun(db, collectionName, opCollection, run) {
+  var first = run[0];
+  var last = run[run.length - 1];
+  var composed;
+  for (var i = 0; i < run.length; i++) {
+    var edit = run[i].op;
+    if (edit === undefined) continue;
+    composed = (composed === undefined) ? edit : run.type.compose(composed, edit);
+  }
+  var doc = db._addOpKey(collectionName, last.d, null, {
+    _id: last._id,
+    d: last.d,
+    v: last.v,
+    cv: (first.cv != null) ? first.cv : first.v,
+    o: first.o,
+    m: last.m
+  });
+  if (composed !== undefined) doc.op = composed;
+  // Keep the src and seq of the last op, so that a resubmission of it is
+  // still recognised as committed
+  if (last.src != null) {
+    doc.src = last.src;
+    doc.seq = last.seq;
+  }
+  var removedIds = run.slice(0, -1).map(function(op) {
+    return op._id;
+  });
+  // Write the composed op before removing the others, so that the op chain
+  // is valid at every step
+  return opCollection.replaceOne(db._addOpKey(collectionName, last.d, null, {_id: last._id}), doc)
+    .then(function() {
+      return opCollection.deleteMany(db._addOpKey(collectionName, last.d, null, {_id: {$in: removedIds}}));
+    })
+    .then(function(deleteResult) {
+      return deleteResult.deletedCount;
+    });
+}
+
+// Remove the ops of a doc before `beforeVersion`, keeping the snapshot at that
+// version as a baseline. The baseline replaces the op at `beforeVersion - 1`,
+// keeping its _id, so that the op at `beforeVersion` still links to it.
+// Fetching ops from before `beforeVersion` fails with a historyTruncatedError
+// afterwards. Truncating before a version at or before an earlier truncation
+// does nothing.
+//
+// Calls back with the number of ops removed
+ShareDbMongo.prototype.truncateHistory = function(collectionName, id, beforeVersion, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  var self = this;
+  this._getSnapshotOpLink(collectionName, id, options, function(err, doc) {
+    if (err) return callback(err);
+    if (!doc) return callback(null, 0);
+    var err = checkDocHasOp(collectionName, id, doc);
+    if (err) return callback(err);
+    if (typeof beforeVersion !== 'number' || beforeVersion > doc._v) {
+      return callback(ShareDbMongo.invalidOpVersionError(collectionName, id, beforeVersion));
+    }
+    if (beforeVersion < 1) return callback(null, 0);
+    self._getOps(collectionName, id, 0, null, getOpsMetadataOptions(options), function(err, ops) {
+      if (err) return callback(err);
+      var canonicalOps = getCanonicalOps(ops, doc._o);
+      var baselineOp = getBaselineOp(canonicalOps);
+      if (baselineOp && baselineOp.v >= beforeVersion - 1) return callback(null, 0);
+      var head = getOpsAtVersion(canonicalOps, beforeVersion - 1)[0];
+      if (!head) {
+        var err = (getCompactedOpAtVersion(canonicalOps, beforeVersion - 1)) ?
+          ShareDbMongo.compactedOpsError(collectionName, id, beforeVersion) :
+          ShareDbMongo.missingOpsError(collectionName, id, beforeVersion - 1);
+        return callback(err);
+      }
+      var headId = head._id;
+      var linkedOps = getLinkedOps(ops, beforeVersion, doc._o);
+      var err = checkLinkedOpsTo(collectionName, id, linkedOps, beforeVersion);
+      if (err) return callback(err);
+      var snapshot = new MongoSnapshot(id, 0, null, undefined, null);
+      var err = replayOps(snapshot, linkedOps);
+      if (err) return callback(err);
+      self._writeBaseline(collectionName, id, headId, snapshot, options, callback);
+    });
+  });
+};
+
+ShareDbMongo.prototype._writeBaseline = function(collectionName, id, headId, snapshot, options, callback) {
+  var self = this;
+  this.getOpCollection(collectionName, options, function(err, opCollection) {
+    if (err) return callback(err);
+    var baselineOp = self._addOpKey(collectionName, id, null, {
+      _id: headId,
+      d: id,
+      v: snapshot.v - 1,
+      o: null,
+      baseline: {type: snapshot.type, data: snapshot.data, m: snapshot.m}
+    });
+    // Write the baseline before removing the ops before it, so that the op
+    // chain is valid at every step
+    opCollection.replaceOne(self._addOpKey(collectionName, id, null, {_id: headId}), baselineOp)
+      .then(function() {
+        return opCollection.deleteMany(self._addOpKey(collectionName, id, null, {d: id, v: {$lt: baselineOp.v}}));
+      })
+      .then(function(result) {
+        callback(null, result.deletedCount);
+      }, callback);
+  });
+};
+
+function getCompactedOpAtVersion(ops, version) {
+  for (var i = 0; i < ops.length; i++) {
+    var op = ops[i];
+    if (op.cv != null && op.cv <= version && version < op.v) return op;
+  }
+}
+
+// Move the ops of a collection from the op collection it used before the
+// sharedOpCollection option was set to the shared op collection, adding the
+// `c` field. The ops keep their _id, so the op links stay valid. Each batch is
+// copied before it is removed from the old collection, so an interrupted
+// migration can be run again
+//
+// Options:
+//   opCollectionName: name of the op collection to move the ops from.
+//     Defaults to `o_COLLECTION`
+//   batchSize: number of ops moved at once. Defaults to 100
+//   batchDelay: milliseconds to wait between batches. Defaults to 100
+//
+// Calls back with the number of ops moved
+ShareDbMongo.prototype.migrateToSharedOpCollection = function(collectionName, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = null;
+  }
+  if (!this.sharedOpCollection) {
+    return callback(ShareDbMongo.missingOptionError('migrateToSharedOpCollection', 'sharedOpCollection'));
+  }
+  options = options || {};
   var self = this;
-  this.getCollection(collectionName, function(err, collection) {
+  var batchSize = options.batchSize || 100;
+  var batchDelay = (options.batchDelay != null) ? options.batchDelay : 100;
+  var sourceName = options.opCollectionName || 'o_' + collectionName;
+  var moved = 0;
+
+  this.getOpCollection(collectionName, options, function(err, opCollection) {
     if (err) return callback(err);
-    var query = {_id: {$in: ids}};
-    var projection = {_o: 1, _v: 1};
+    self._getDbsFor(options, function(err, mongo) {
+      if (err) return callback(err);
+      var source = mongo.collection(sourceName);
+
+      function moveBatch() {
+        return source.find({}).limit(batchSize).toArray().then(function(ops) {
+          if (!ops.length) return 0;
+          var writes = ops.map(function(op) {
+            var filter = self._addOpKey(collectionName, op.d, null, {_id: op._id});
+            var replacement = self._addOpKey(collectionName, op.d, null, op);
+            return {replaceOne: {filter: filter, replacement: replacement, upsert: true}};
+          });
+          var opIds = ops.map(function(op) {
+            return op._id;
+          });
+          return opCollection.bulkWrite(writes, {ordered: false})
+            .then(function() {
+              return source.deleteMany({_id: {$in: opIds}});
+            })
+            .then(function() {
+              return ops.length;
+            });
+        });
+      }
 
-    var request = createRequestForMiddleware(options, collectionName);
-    request.query = query;
-    self._middleware.trigger(MiddlewareHandler.Actions.beforeSnapshotLookup, request, function(middlewareErr) {
-      if (middlewareErr) return callback(middlewareErr);
-      collection.find(query, request.findOptions).project(projection).toArray()
-        .then(function(result) {
-          callback(null, result);
+      function next() {
+        moveBatch().then(function(count) {
+          moved += count;
+          if (count < batchSize) return callback(null, moved);
+          setTimeout(next, batchDelay);
         }, callback);
+      }
+
+      next();
     });
   });
 };
@@ -817,10 +2321,44 @@ ShareDbMongo.prototype._getSnapshotOpLinkBulk = function(collectionName, ids, op
 
 // **** Query methods
 
-ShareDbMongo.prototype._query = function(collection, inputQuery, projection, callback) {
+ShareDbMongo.prototype._query = function(request, collection, inputQuery, projection, findOptions, callback) {
   var parsed = this._getSafeParsedQuery(inputQuery, callback);
   if (!parsed) return;
+  this._triggerQuery(request, parsed, findOptions, function(parsed, findOptions, callback) {
+    runParsedQuery(collection, parsed, projection, findOptions, callback);
+  }, callback);
+};
+
+// Pass a parsed query through the beforeQuery middleware, which may modify or
+// reject it, run it, and then pass the number of results and the time it took
+// to the afterQuery middleware
+ShareDbMongo.prototype._triggerQuery = function(request, parsed, findOptions, runQuery, callback) {
+  var self = this;
+  request.parsedQuery = parsed;
+  request.findOptions = findOptions;
+  this._middleware.trigger(MiddlewareHandler.Actions.beforeQuery, request, function(middlewareErr) {
+    if (middlewareErr) return callback(middlewareErr);
+    var start = Date.now();
+    runQuery(request.parsedQuery, request.findOptions, function(err, results, extra) {
+      if (err) return callback(err);
+      // Collection and cursor operations, such as $count and $aggregate,
+      // return their result in `extra`. It is only counted if it is a list
+      var parsedQuery = request.parsedQuery;
+      if (!parsedQuery.collectionOperationKey && !parsedQuery.cursorOperationKey) {
+        request.resultCount = results.length;
+      } else if (Array.isArray(extra)) {
+        request.resultCount = extra.length;
+      }
+      request.duration = Date.now() - start;
+      self._middleware.trigger(MiddlewareHandler.Actions.afterQuery, request, function(middlewareErr) {
+        if (middlewareErr) return callback(middlewareErr);
+        callback(null, results, extra);
+      });
+    });
+  });
+};
 
+function runParsedQuery(collection, parsed, projection, findOptions, callback) {
   // Collection operations such as $aggregate run on the whole
   // collection. Only one operation is run. The result goes in the
   // "extra" argument in the callback.
@@ -829,6 +2367,7 @@ ShareDbMongo.prototype._query = function(collection, inputQuery, projection, cal
       collection,
       parsed.query,
       parsed.collectionOperationValue,
+      findOptions,
       function(err, extra) {
         if (err) return callback(err);
         callback(null, [], extra);
@@ -839,7 +2378,7 @@ ShareDbMongo.prototype._query = function(collection, inputQuery, projection, cal
 
   // No collection operations were used. Create an initial cursor for
   // the query, that can be transformed later.
-  var cursor = collection.find(parsed.query).project(projection);
+  var cursor = collection.find(parsed.query, findOptions).project(projection);
 
   // Cursor transforms such as $skip transform the cursor into a new
   // one. If multiple transforms are specified on inputQuery, they all
@@ -875,14 +2414,15 @@ ShareDbMongo.prototype._query = function(collection, inputQuery, projection, cal
     .then(function(result) {
       callback(null, result);
     }, callback);
-};
+}
 
 ShareDbMongo.prototype.query = function(collectionName, inputQuery, fields, options, callback) {
   var self = this;
-  this.getCollection(collectionName, function(err, collection) {
+  this.getCollection(collectionName, options, function(err, collection) {
     if (err) return callback(err);
     var projection = getProjection(fields, options);
-    self._query(collection, inputQuery, projection, function(err, results, extra) {
+    var request = createRequestForMiddleware(options, collectionName);
+    self._query(request, collection, inputQuery, projection, null, function(err, results, extra) {
       if (err) return callback(err);
       var snapshots = [];
       for (var i = 0; i < results.length; i++) {
@@ -896,68 +2436,393 @@ ShareDbMongo.prototype.query = function(collectionName, inputQuery, fields, opti
 
 ShareDbMongo.prototype.queryPoll = function(collectionName, inputQuery, options, callback) {
   var self = this;
-  this.getCollectionPoll(collectionName, function(err, collection) {
-    if (err) return callback(err);
-    var projection = {_id: 1};
-    self._query(collection, inputQuery, projection, function(err, results, extra) {
-      if (err) return callback(err);
-      var ids = [];
-      for (var i = 0; i < results.length; i++) {
-        ids.push(results[i]._id);
+  var pollWindow = this._getPollWindow(inputQuery);
+  var changedIds = (pollWindow) ? pollWindow.takeChangedIds() : [];
+  function finish(err, ids, extra) {
+    // A failed poll may have missed changes, so run the next one in full
+    if (err && pollWindow) pollWindow.ids = null;
+    callback(err, ids, extra);
+  }
+  this.getCollectionPoll(collectionName, options, function(err, collection) {
+    if (err) return finish(err);
+    if (!pollWindow || !pollWindow.ids || !changedIds.length) {
+      return self._queryPollAll(collection, collectionName, inputQuery, pollWindow, options, finish);
+    }
+    self._queryPollWindow(collection, collectionName, inputQuery, pollWindow, changedIds, options,
+      function(err, changed) {
+        if (err) return finish(err);
+        if (changed) return self._queryPollAll(collection, collectionName, inputQuery, pollWindow, options, finish);
+        finish(null, pollWindow.ids.slice());
       }
-      callback(null, ids, extra);
-    });
+    );
+  });
+};
+
+ShareDbMongo.prototype._queryPollAll = function(collection, collectionName, inputQuery, pollWindow, options, callback) {
+  var projection = getPollProjection(inputQuery.$sort);
+  var session = this._startPollSession();
+  var findOptions = session && {session: session};
+  var request = createRequestForMiddleware(options, collectionName);
+  this._query(request, collection, inputQuery, projection, findOptions, function(err, results, extra) {
+    endSession(session);
+    if (err) return callback(err);
+    var ids = [];
+    for (var i = 0; i < results.length; i++) {
+      ids.push(results[i]._id);
+    }
+    if (pollWindow) pollWindow.update(getSortedWindow(request.parsedQuery), results);
+    callback(null, ids, extra);
+  });
+};
+
+// Check whether the docs changed since the last poll of a sorted and limited
+// query may have changed its results, by querying only these docs
+ShareDbMongo.prototype._queryPollWindow = function(
+  collection,
+  collectionName,
+  inputQuery,
+  pollWindow,
+  changedIds,
+  options,
+  callback
+) {
+  var parsed = this._getSafeParsedQuery(inputQuery, callback);
+  if (!parsed) return;
+
+  // Where the docs go in the results is worked out from the values of their
+  // sort fields, so the cursor transforms aren't needed
+  parsed.query = {$and: [parsed.query, {_id: {$in: changedIds}}]};
+  parsed.cursorTransforms = {};
+
+  var projection = getPollProjection(inputQuery.$sort);
+  var session = this._startPollSession();
+  var findOptions = session && {session: session};
+  var request = createRequestForMiddleware(options, collectionName);
+  this._triggerQuery(request, parsed, findOptions, function(parsed, findOptions, callback) {
+    collection.find(parsed.query, findOptions).project(projection).toArray()
+      .then(function(docs) {
+        callback(null, docs);
+      }, callback);
+  }, function(err, docs) {
+    endSession(session);
+    if (err) return callback(err);
+    callback(null, pollWindow.isChangedBy(changedIds, docs));
   });
 };
 
 ShareDbMongo.prototype.queryPollDoc = function(collectionName, id, inputQuery, options, callback) {
   var self = this;
-  self.getCollectionPoll(collectionName, function(err, collection) {
+  self.getCollectionPoll(collectionName, options, function(err, collection) {
     if (err) return callback(err);
     var parsed = self._getSafeParsedQuery(inputQuery, callback);
     if (!parsed) return;
+    if (!restrictQueryToDoc(parsed.query, id)) return callback(null, false);
+    self._pollDoc(collection, collectionName, parsed, options, callback);
+  });
+};
 
-    // Run the query against a particular mongo document by adding an _id filter
-    var queryId = parsed.query._id;
-    if (queryId && typeof queryId === 'object') {
-      // Check if the query contains the id directly in the common pattern of
-      // a query for a specific list of ids, such as {_id: {$in: [1, 2, 3]}}
-      if (Array.isArray(queryId.$in) && Object.keys(queryId).length === 1) {
-        if (queryId.$in.indexOf(id) === -1) {
-          // If the id isn't in the list of ids, then there is no way this
-          // can be a match
-          return callback(null, false);
-        } else {
-          // If the id is in the list, then it is equivalent to restrict to our
-          // particular id and override the current value
-          parsed.query._id = id;
-        }
-      } else {
-        delete parsed.query._id;
-        parsed.query.$and = (parsed.query.$and) ?
-          parsed.query.$and.concat({_id: id}, {_id: queryId}) :
-          [{_id: id}, {_id: queryId}];
+// Check a doc against many queries, calling back with whether it matches each
+// of them, like queryPollDoc does for a single query. The queries are run in
+// a single aggregation, with a $facet for each of them
+ShareDbMongo.prototype.queryPollDocBulk = function(collectionName, id, inputQueries, options, callback) {
+  var self = this;
+  self.getCollectionPoll(collectionName, options, function(err, collection) {
+    if (err) return callback(err);
+    var matches = [];
+    var facetQueries = [];
+    // $match in an aggregation doesn't support some operators, such as
+    // $where, so queries with these are run with a find each
+    var findQueries = [];
+    for (var i = 0; i < inputQueries.length; i++) {
+      matches.push(false);
+      var parsed = self._getSafeParsedQuery(inputQueries[i], callback);
+      if (!parsed) return;
+      if (!restrictQueryToDoc(parsed.query, id)) continue;
+      var queries = (usesFindOnlyOperators(parsed.query)) ? findQueries : facetQueries;
+      queries.push({index: i, parsed: parsed});
+    }
+
+    self._pollDocFacets(collection, collectionName, id, facetQueries, options, function(err, facetMatches) {
+      if (err) return callback(err);
+      for (var i = 0; i < facetQueries.length; i++) {
+        matches[facetQueries[i].index] = facetMatches[i];
       }
-    } else if (queryId && queryId !== id) {
-      // If queryId is a primative value such as a string or number and it
-      // isn't equal to the id, then there is no way this can be a match
-      return callback(null, false);
+      pollNext(0);
+    });
+
+    function pollNext(i) {
+      if (i === findQueries.length) return callback(null, matches);
+      self._pollDoc(collection, collectionName, findQueries[i].parsed, options, function(err, match) {
+        if (err) return callback(err);
+        matches[findQueries[i].index] = match;
+        pollNext(i + 1);
+      });
+    }
+  });
+};
+
+// Restrict a query to a particular doc by adding an _id filter. Returns false
+// if the query can't match the doc
+function restrictQueryToDoc(query, id) {
+  var queryId = query._id;
+  if (queryId && typeof queryId === 'object') {
+    // Check if the query contains the id directly in the common pattern of
+    // a query for a specific list of ids, such as {_id: {$in: [1, 2, 3]}}
+    if (Array.isArray(queryId.$in) && Object.keys(queryId).length === 1) {
+      // If the id isn't in the list of ids, then there is no way this
+      // can be a match
+      if (queryId.$in.indexOf(id) === -1) return false;
+      // If the id is in the list, then it is equivalent to restrict to our
+      // particular id and override the current value
+      query._id = id;
     } else {
-      // Restrict the query to this particular document
-      parsed.query._id = id;
+      delete query._id;
+      query.$and = (query.$and) ?
+        query.$and.concat({_id: id}, {_id: queryId}) :
+        [{_id: id}, {_id: queryId}];
     }
+  } else if (queryId && queryId !== id) {
+    // If queryId is a primative value such as a string or number and it
+    // isn't equal to the id, then there is no way this can be a match
+    return false;
+  } else {
+    // Restrict the query to this particular document
+    query._id = id;
+  }
+  return true;
+}
 
-    collection.find(parsed.query).limit(1).project({_id: 1}).next()
+// Check whether a doc matches a parsed query that is restricted to it
+ShareDbMongo.prototype._pollDoc = function(collection, collectionName, parsed, options, callback) {
+  var session = this._startPollSession();
+  var findOptions = session && {session: session};
+  var request = createRequestForMiddleware(options, collectionName);
+  this._triggerQuery(request, parsed, findOptions, function(parsed, findOptions, callback) {
+    collection.find(parsed.query, findOptions).limit(1).project({_id: 1}).next()
       .then(function(doc) {
-        callback(null, !!doc);
+        callback(null, (doc) ? [doc] : []);
       }, callback);
+  }, function(err, results) {
+    endSession(session);
+    if (err) return callback(err);
+    callback(null, results.length > 0);
+  });
+};
+
+// Check whether a doc matches each of the parsed queries, which are
+// restricted to it, with a $facet per query. Each query passes through the
+// query middleware, and the queries are run in a single aggregation for each
+// distinct set of find options that the middleware sets
+ShareDbMongo.prototype._pollDocFacets = function(collection, collectionName, id, queries, options, callback) {
+  if (!queries.length) return callback(null, []);
+  var self = this;
+  var session = this._startPollSession();
+  var requests = queries.map(function(query) {
+    var request = createRequestForMiddleware(options, collectionName);
+    request.parsedQuery = query.parsed;
+    request.findOptions = session && {session: session};
+    return request;
+  });
+  this._triggerEach(MiddlewareHandler.Actions.beforeQuery, requests, function(middlewareErr) {
+    if (middlewareErr) {
+      endSession(session);
+      return callback(middlewareErr);
+    }
+    var groups = groupByFindOptions(requests);
+    var matches = [];
+    aggregateNext(0);
+
+    function aggregateNext(groupIndex) {
+      if (groupIndex === groups.length) {
+        endSession(session);
+        return self._triggerEach(MiddlewareHandler.Actions.afterQuery, requests, function(middlewareErr) {
+          if (middlewareErr) return callback(middlewareErr);
+          callback(null, matches);
+        });
+      }
+      var group = groups[groupIndex];
+      var facets = {};
+      for (var i = 0; i < group.indexes.length; i++) {
+        var request = requests[group.indexes[i]];
+        facets['q' + i] = [{$match: request.parsedQuery.query}, {$project: {_id: 1}}];
+      }
+      var pipeline = [{$match: {_id: id}}, {$facet: facets}];
+      var start = Date.now();
+      collection.aggregate(pipeline, group.findOptions || {}).toArray()
+        .then(function(results) {
+          var duration = Date.now() - start;
+          for (var i = 0; i < group.indexes.length; i++) {
+            var index = group.indexes[i];
+            var match = results[0]['q' + i].length > 0;
+            requests[index].resultCount = (match) ? 1 : 0;
+            requests[index].duration = duration;
+            matches[index] = match;
+          }
+          aggregateNext(groupIndex + 1);
+        }, function(err) {
+          endSession(session);
+          callback(err);
+        });
+    }
+  });
+};
+
+// Group query requests by their find options, so that the options that the
+// middleware sets for one query don't apply to the others. Returns a list of
+// {findOptions, indexes}, with the indexes of the requests in each group
+function groupByFindOptions(requests) {
+  var groups = [];
+  for (var i = 0; i < requests.length; i++) {
+    var findOptions = requests[i].findOptions;
+    var group = null;
+    for (var j = 0; j < groups.length; j++) {
+      if (isSameFindOptions(groups[j].findOptions, findOptions)) {
+        group = groups[j];
+        break;
+      }
+    }
+    if (!group) {
+      group = {findOptions: findOptions, indexes: []};
+      groups.push(group);
+    }
+    group.indexes.push(i);
+  }
+  return groups;
+}
+
+function isSameFindOptions(a, b) {
+  a = a || {};
+  b = b || {};
+  var keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  for (var i = 0; i < keys.length; i++) {
+    var key = keys[i];
+    if (!b.hasOwnProperty(key)) return false;
+    // Sessions can't be serialized, so they have to be the same object
+    var isSame = (key === 'session') ? a[key] === b[key] : isSameValue(a[key], b[key]);
+    if (!isSame) return false;
+  }
+  return true;
+}
+
+// Trigger a middleware action for each of the requests in turn
+ShareDbMongo.prototype._triggerEach = function(action, requests, callback) {
+  var middleware = this._middleware;
+  var i = 0;
+  function next(middlewareErr) {
+    if (middlewareErr || i === requests.length) return callback(middlewareErr);
+    middleware.trigger(action, requests[i++], next);
+  }
+  next();
+};
+
+// Operators that $match doesn't support in an aggregation
+var FIND_ONLY_OPERATORS = ['$where', '$text', '$near', '$nearSphere'];
+
+function usesFindOnlyOperators(value) {
+  if (Array.isArray(value)) return value.some(usesFindOnlyOperators);
+  if (value == null || !isPlainObject(value)) return false;
+  for (var key in value) {
+    if (FIND_ONLY_OPERATORS.indexOf(key) !== -1 || usesFindOnlyOperators(value[key])) return true;
+  }
+  return false;
+}
+
+
+// **** Query subscriptions
+
+// Subscribe to the ids of the snapshots matching a query. Rather than being
+// polled, the results are updated from change streams on the snapshot
+// collection, which need a replica set or sharded cluster. Calls back with a
+// QuerySubscription and the initial ids; the subscription then emits 'added'
+// and 'removed' with the ids of snapshots entering or leaving the results.
+ShareDbMongo.prototype.subscribeQuery = function(collectionName, inputQuery, options, callback) {
+  var self = this;
+  this._getDbsFor(options, function(err, mongo) {
+    if (err) return callback(err);
+    self.getCollection(collectionName, options, function(err, collection) {
+      if (err) return callback(err);
+      var parsed = self._getSafeParsedQuery(inputQuery, callback);
+      if (!parsed) return;
+
+      var err = checkQuerySubscription(parsed);
+      if (err) return callback(err);
+      try {
+        var query = prefixQueryFields(parsed.query, 'fullDocument.');
+      } catch (err) {
+        return callback(err);
+      }
+
+      var writeTypes = {operationType: {$in: ['insert', 'replace']}};
+      var enterMatch = {$and: [writeTypes, query]};
+      var leaveMatch = {$or: [
+        {operationType: 'delete'},
+        {$and: [writeTypes, {$nor: [query]}]}
+      ]};
+      var subscription = new QuerySubscription(mongo, collection, parsed.query, enterMatch, leaveMatch);
+      subscription.start(function(err, ids) {
+        if (err) return callback(err);
+        callback(null, subscription, ids);
+      });
+    });
   });
 };
 
+// Only queries whose results are a filter on each snapshot can be kept up to
+// date one change at a time
+function checkQuerySubscription(parsed) {
+  if (parsed.collectionOperationKey) {
+    return ShareDbMongo.unsupportedQuerySubscriptionError(parsed.collectionOperationKey);
+  }
+  if (parsed.cursorOperationKey) {
+    return ShareDbMongo.unsupportedQuerySubscriptionError(parsed.cursorOperationKey);
+  }
+  for (var key in parsed.cursorTransforms) {
+    if (
+      key === '$limit' ||
+      key === '$skip' ||
+      key === '$max' ||
+      key === '$min' ||
+      key === '$returnKey'
+    ) {
+      return ShareDbMongo.unsupportedQuerySubscriptionError(key);
+    }
+  }
+}
+
+// Prefix the field paths of a query, so that it matches the fields of a
+// change event instead of a snapshot. Field level operators such as
+// $elemMatch use relative paths and are left alone. Throws on top-level
+// operators that can't be rewritten this way, such as $where or $expr.
+function prefixQueryFields(query, prefix) {
+  var prefixed = {};
+  for (var key in query) {
+    var value = query[key];
+    if (key === '$and' || key === '$or' || key === '$nor') {
+      if (!Array.isArray(value)) throw ShareDbMongo.malformedQueryOperatorError(key);
+      prefixed[key] = [];
+      for (var i = 0; i < value.length; i++) {
+        prefixed[key].push(prefixQueryFields(value[i], prefix));
+      }
+    } else if (key === '$comment') {
+      prefixed[key] = value;
+    } else if (key[0] === '$') {
+      throw ShareDbMongo.unsupportedQuerySubscriptionError(key);
+    } else {
+      prefixed[prefix + key] = value;
+    }
+  }
+  return prefixed;
+}
+ShareDbMongo._prefixQueryFields = prefixQueryFields; // for tests
+
 
 // **** Polling optimization
 
 // Can we poll by checking the query limited to the particular doc only?
+// ShareDB appends docs that start matching to the end of the results, so this
+// isn't the case for sorted queries. queryPoll checks only the changed docs
+// of sorted and limited queries instead, see PollWindow
 ShareDbMongo.prototype.canPollDoc = function(collectionName, query) {
   for (var operation in collectionOperationsMap) {
     if (query.hasOwnProperty(operation)) return false;
@@ -984,6 +2849,39 @@ ShareDbMongo.prototype.canPollDoc = function(collectionName, query) {
 // Return true to avoid polling if there is no possibility that an op could
 // affect a query's results
 ShareDbMongo.prototype.skipPoll = function(collectionName, id, op, query) {
+  if (this._docTypes) {
+    if (op.create) this._setDocType(collectionName, id, op.create.type);
+    if (op.del) this._setDocType(collectionName, id, null);
+  }
+  var type = this._docTypes && this._docTypes.get(getDocTypeKey(collectionName, id));
+  if (canSkipPoll(op, query, type)) return true;
+  // ShareDB polls right after this, so keep track of the doc for the poll of
+  // a sorted and limited query to check
+  var pollWindow = this._pollWindows && this._pollWindows.get(query);
+  if (pollWindow) pollWindow.changedIds.push(id);
+  return false;
+};
+
+var DOC_TYPES_LIMIT = 10000;
+
+ShareDbMongo.prototype._setDocType = function(collectionName, id, type) {
+  var key = getDocTypeKey(collectionName, id);
+  // Re-insert the doc, so that it is the last to be dropped
+  this._docTypes.delete(key);
+  if (!type) return;
+  this._docTypes.set(key, type);
+  if (this._docTypes.size > DOC_TYPES_LIMIT) {
+    this._docTypes.delete(this._docTypes.keys().next().value);
+  }
+};
+
+function getDocTypeKey(collectionName, id) {
+  return JSON.stringify([collectionName, id]);
+}
+
+// Without the type of the doc, such as for ops committed by another server,
+// the type is recognised from the op
+function canSkipPoll(op, query, type) {
   // ShareDB is in charge of doing the validation of ops, so at this point we
   // should be able to assume that the op is structured validly
   if (op.create || op.del) return false;
@@ -1003,49 +2901,258 @@ ShareDbMongo.prototype.skipPoll = function(collectionName, id, op, query) {
   // thrown, it skips polling -- we can't poll an invalid query. So in
   // the code below, we work under the assumption that `query` is
   // valid. If an error is thrown, that's fine.
-  var fields = getFields(query);
+  var queryPaths = getQueryPaths(query);
 
-  return !opContainsAnyField(op.op, fields);
-};
+  // Ops of types that aren't registered in touchedFields may touch anything
+  var opPaths = touchedFields.getTouchedPaths(op.op, type);
+  return opPaths != null && !anyPathsOverlap(opPaths.map(getStoredPath), queryPaths);
+}
 
-function getFields(query) {
-  var fields = {};
-  getInnerFields(query.$orderby, fields);
-  getInnerFields(query.$sort, fields);
-  getInnerFields(query, fields);
-  return fields;
+// Data that isn't an object, such as an array, is stored in the `_data` field
+// by castToDoc
+function getStoredPath(path) {
+  return (typeof path[0] === 'number') ? ['_data'].concat(path) : path;
 }
 
-function getInnerFields(params, fields) {
+// Return the paths that a query reads, as arrays of keys. Elements matched by
+// $elemMatch are represented by an ELEMENT_KEY key, which can be any index
+function getQueryPaths(query) {
+  var paths = [];
+  getInnerPaths(query.$orderby, [], paths);
+  getInnerPaths(query.$sort, [], paths);
+  getInnerPaths(query, [], paths);
+  return paths;
+}
+
+// Field names can't start with '$', so this can't clash with one
+var ELEMENT_KEY = '$';
+
+function getInnerPaths(params, prefix, paths) {
   if (!params) return;
   for (var key in params) {
     var value = params[key];
     if (key === '$not') {
-      getInnerFields(value, fields);
+      getInnerPaths(value, prefix, paths);
     } else if (key === '$or' || key === '$and' || key === '$nor') {
       for (var i = 0; i < value.length; i++) {
         var item = value[i];
-        getInnerFields(item, fields);
+        getInnerPaths(item, prefix, paths);
       }
     } else if (key[0] !== '$') {
-      var property = key.split('.')[0];
-      fields[property] = true;
+      getValuePaths(prefix.concat(key.split('.')), value, paths);
+    } else if (prefix.length) {
+      // An operator on the elements matched by $elemMatch, such as $gt
+      paths.push(prefix);
     }
   }
 }
 
-function opContainsAnyField(op, fields) {
-  for (var i = 0; i < op.length; i++) {
-    var component = op[i];
-    if (component.p.length === 0) {
-      return true;
-    } else if (fields[component.p[0]]) {
-      return true;
+function getValuePaths(path, value, paths) {
+  if (!isPlainObject(value)) return paths.push(path);
+  var readsPath = false;
+  for (var key in value) {
+    if (key === '$elemMatch') {
+      getInnerPaths(value[key], path.concat(ELEMENT_KEY), paths);
+    } else if (key === '$not') {
+      getValuePaths(path, value[key], paths);
+    } else {
+      readsPath = true;
+    }
+  }
+  if (readsPath) paths.push(path);
+}
+
+function anyPathsOverlap(opPaths, queryPaths) {
+  for (var i = 0; i < opPaths.length; i++) {
+    for (var j = 0; j < queryPaths.length; j++) {
+      if (pathsOverlap(opPaths[i], 0, queryPaths[j], 0)) return true;
+    }
+  }
+  return false;
+}
+
+// Whether an op on a path may change the value a query reads at a path. Mongo
+// queries traverse arrays implicitly, so an array index in the op path may
+// not be in the query path
+function pathsOverlap(opPath, i, queryPath, j) {
+  // One path is within the other
+  if (i === opPath.length || j === queryPath.length) return true;
+  var opKey = opPath[i];
+  var queryKey = queryPath[j];
+  if (typeof opKey !== 'number') {
+    return String(opKey) === queryKey && pathsOverlap(opPath, i + 1, queryPath, j + 1);
+  }
+  // An op on an array element itself, rather than within it, may insert,
+  // remove or move elements, which shifts the indexes of the others
+  if (i === opPath.length - 1) return true;
+  if (queryKey === ELEMENT_KEY || String(opKey) === queryKey) {
+    return pathsOverlap(opPath, i + 1, queryPath, j + 1);
+  }
+  // The query reads another element
+  if (/^\d+$/.test(queryKey)) return false;
+  return pathsOverlap(opPath, i + 1, queryPath, j);
+}
+
+ShareDbMongo.prototype._getPollWindow = function(query) {
+  var pollWindow = this._pollWindows.get(query);
+  if (pollWindow) return pollWindow;
+  if (!query.hasOwnProperty('$sort') || !query.hasOwnProperty('$limit')) return null;
+  pollWindow = new PollWindow();
+  this._pollWindows.set(query, pollWindow);
+  return pollWindow;
+};
+
+// The results of the last poll of a sorted and limited query are the first
+// docs in the sort order, up to the limit. A doc that changes can only enter
+// these results if it sorts before the last of them, and a doc in the results
+// stays in place as long as it matches and its sort values stay the same. So
+// instead of running the full query, the next poll checks the docs changed
+// since, which skipPoll keeps track of, against the sort values of the
+// results, and only runs the full query if they may have changed
+function PollWindow() {
+  // The sort fields as {path, direction} and the limit of the query
+  this.fields = null;
+  this.limit = null;
+  // Ids of the results, or null if the next poll has to run in full
+  this.ids = null;
+  // Map from id -> values of the sort fields of the results
+  this.sortValues = null;
+  this.changedIds = [];
+}
+
+PollWindow.prototype.takeChangedIds = function() {
+  var changedIds = this.changedIds;
+  this.changedIds = [];
+  return changedIds;
+};
+
+PollWindow.prototype.update = function(sortedWindow, docs) {
+  if (!sortedWindow) {
+    this.ids = null;
+    return;
+  }
+  this.fields = sortedWindow.fields;
+  this.limit = sortedWindow.limit;
+  this.ids = [];
+  this.sortValues = {};
+  for (var i = 0; i < docs.length; i++) {
+    var doc = docs[i];
+    this.ids.push(doc._id);
+    this.sortValues[doc._id] = getSortValues(doc, this.fields);
+  }
+};
+
+// Whether the changed docs may have entered, left or moved within the
+// results, given the changed docs that match the query now
+PollWindow.prototype.isChangedBy = function(changedIds, docs) {
+  var matches = {};
+  for (var i = 0; i < docs.length; i++) {
+    matches[docs[i]._id] = getSortValues(docs[i], this.fields);
+  }
+  // Until the results are full, any doc that matches enters them
+  var last = (this.ids.length < this.limit) ? null :
+    this.sortValues[this.ids[this.ids.length - 1]];
+  for (var i = 0; i < changedIds.length; i++) {
+    var id = changedIds[i];
+    var values = (matches.hasOwnProperty(id)) ? matches[id] : null;
+    if (this.sortValues.hasOwnProperty(id)) {
+      if (!values || compareSortValues(values, this.sortValues[id], this.fields) !== 0) return true;
+    } else if (values) {
+      if (!last) return true;
+      // Docs with equal sort values may be returned in any order
+      var comparison = compareSortValues(values, last, this.fields);
+      if (comparison == null || comparison <= 0) return true;
     }
   }
   return false;
+};
+
+// Cursor transforms that don't change which docs a query returns
+var POLL_WINDOW_TRANSFORMS = [
+  '$sort', '$limit', '$batchSize', '$comment', '$hint', '$maxTimeMS', '$readConcern', '$readPref'
+];
+
+// Get the sort fields and limit of a parsed query that returns the first
+// docs in a sort order, or null for any other query
+function getSortedWindow(parsed) {
+  if (parsed.collectionOperationKey || parsed.cursorOperationKey) return null;
+  var sort = parsed.cursorTransforms.$sort;
+  var limit = parsed.cursorTransforms.$limit;
+  if (!isPlainObject(sort) || typeof limit !== 'number' || limit <= 0) return null;
+  for (var key in parsed.cursorTransforms) {
+    if (POLL_WINDOW_TRANSFORMS.indexOf(key) === -1) return null;
+  }
+  var fields = [];
+  for (var field in sort) {
+    if (sort[field] !== 1 && sort[field] !== -1) return null;
+    fields.push({path: field.split('.'), direction: sort[field]});
+  }
+  return {fields: fields, limit: limit};
+}
+
+// Poll for the ids, along with the sort fields for PollWindow
+function getPollProjection(sort) {
+  var projection = {_id: 1};
+  if (!isPlainObject(sort)) return projection;
+  for (var field in sort) {
+    // Projecting both a field and a field within it is an error
+    var collides = Object.keys(projection).some(function(key) {
+      return field.indexOf(key + '.') === 0 || key.indexOf(field + '.') === 0;
+    });
+    if (!collides) projection[field] = 1;
+  }
+  return projection;
+}
+
+function getSortValues(doc, fields) {
+  var values = [];
+  for (var i = 0; i < fields.length; i++) {
+    values.push(getSortValue(doc, fields[i].path));
+  }
+  return values;
+}
+
+function getSortValue(doc, path) {
+  var value = doc;
+  for (var i = 0; i < path.length; i++) {
+    // Docs are sorted by the lowest or highest value in an array, which isn't
+    // worked out here, so these values are left undefined to compare as unsure
+    if (Array.isArray(value)) return undefined;
+    if (value == null || !isPlainObject(value)) return null;
+    value = value[path[i]];
+  }
+  if (Array.isArray(value)) return undefined;
+  return (value === undefined) ? null : value;
+}
+
+// Compare sort values the way Mongo sorts them, returning null when unsure
+function compareSortValues(a, b, fields) {
+  for (var i = 0; i < fields.length; i++) {
+    var comparison = compareSortValue(a[i], b[i]);
+    if (comparison == null) return null;
+    if (comparison !== 0) return comparison * fields[i].direction;
+  }
+  return 0;
 }
 
+function compareSortValue(a, b) {
+  // Missing fields sort as null
+  if (a === null && b === null) return 0;
+  // Mongo compares strings by their UTF-8 bytes, unless a collation is set
+  if (typeof a === 'string' && typeof b === 'string') {
+    return Buffer.compare(Buffer.from(a), Buffer.from(b));
+  }
+  if (a instanceof Date && b instanceof Date) {
+    a = a.getTime();
+    b = b.getTime();
+  } else if (!(typeof a === 'number' && typeof b === 'number') &&
+    !(typeof a === 'boolean' && typeof b === 'boolean')) {
+    return null;
+  }
+  // NaN sorts before other numbers
+  if (a !== a || b !== b) return null;
+  return (a < b) ? -1 : (a > b) ? 1 : 0;
+}
 
 // Utility methods
 
@@ -1070,6 +3177,52 @@ ShareDbMongo.prototype.checkQuery = function(query) {
   if (!this.allowAggregateQueries && query.$aggregate) {
     return ShareDbMongo.$aggregateDisabledError();
   }
+
+  if (query.$aggregate) {
+    return this._checkAggregatePipeline(query.$aggregate);
+  }
+};
+
+// Check the stages of an aggregate pipeline against the allowed and
+// disallowed stages and the collections that lookups may read. Return
+// {code: ..., message: ...} on error
+ShareDbMongo.prototype._checkAggregatePipeline = function(pipeline) {
+  // Mongo rejects pipelines that aren't arrays of stages itself
+  if (!Array.isArray(pipeline)) return;
+  for (var i = 0; i < pipeline.length; i++) {
+    var stage = pipeline[i];
+    if (!isObject(stage)) continue;
+    for (var name in stage) {
+      var err = this._checkAggregateStage(name, stage[name]);
+      if (err) return err;
+    }
+  }
+};
+
+ShareDbMongo.prototype._checkAggregateStage = function(name, value) {
+  if (
+    (this.allowedAggregateStages && this.allowedAggregateStages.indexOf(name) === -1) ||
+    (this.disallowedAggregateStages && this.disallowedAggregateStages.indexOf(name) !== -1)
+  ) {
+    return ShareDbMongo.$aggregateStageDisabledError(name);
+  }
+
+  if (name === '$facet') {
+    for (var key in value) {
+      var err = this._checkAggregatePipeline(value[key]);
+      if (err) return err;
+    }
+    return;
+  }
+
+  if (name !== '$lookup' && name !== '$graphLookup' && name !== '$unionWith') return;
+  // $unionWith takes either the name of the collection or an object
+  var lookup = (typeof value === 'string') ? {coll: value} : value || {};
+  var collectionName = (name === '$unionWith') ? lookup.coll : lookup.from;
+  if (this.allowedLookupCollections && this.allowedLookupCollections.indexOf(collectionName) === -1) {
+    return ShareDbMongo.$aggregateStageDisabledError(name, collectionName);
+  }
+  return this._checkAggregatePipeline(lookup.pipeline);
 };
 
 // Check that any keys starting with $ are valid Mongo methods. Verify
@@ -1429,6 +3582,12 @@ function MongoSnapshot(id, version, type, data, meta, opLink) {
   if (opLink) this._opLink = opLink;
 }
 
+// Shard key values may be objects, such as ObjectIds or dates
+function isSameValue(a, b) {
+  if (a === b) return true;
+  return isObject(a) && isObject(b) && JSON.stringify(a) === JSON.stringify(b);
+}
+
 function isObject(value) {
   return value !== null && typeof value === 'object' && !Array.isArray(value);
 }
@@ -1474,20 +3633,20 @@ function getProjection(fields, options) {
 }
 
 var collectionOperationsMap = {
-  $distinct: function(collection, query, value, cb) {
-    collection.distinct(value.field, query)
+  $distinct: function(collection, query, value, options, cb) {
+    collection.distinct(value.field, query, options)
       .then(function(result) {
         cb(null, result);
       }, cb);
   },
-  $aggregate: function(collection, query, value, cb) {
-    var cursor = collection.aggregate(value);
+  $aggregate: function(collection, query, value, options, cb) {
+    var cursor = collection.aggregate(value, options);
     cursor.toArray()
       .then(function(result) {
         cb(null, result);
       }, cb);
   },
-  $mapReduce: function(collection, query, value, cb) {
+  $mapReduce: function(collection, query, value, options, cb) {
     if (typeof value !== 'object') {
       var err = ShareDbMongo.malformedQueryOperatorError('$mapReduce');
       return cb(err);
@@ -1497,11 +3656,11 @@ var collectionOperationsMap = {
     if (typeof collection.mapReduce !== 'function') {
       var err = ShareDbMongo.$mapReduceDisabledError();
     }
-    var mapReduceOptions = {
+    var mapReduceOptions = Object.assign({}, options, {
       query: query,
       out: {inline: 1},
       scope: value.scope || {}
-    };
+    });
     collection.mapReduce(value.map, value.reduce, mapReduceOptions)
       .then(function(result) {
         cb(null, result);
@@ -1646,6 +3805,28 @@ ShareDbMongo.cursorAndCollectionMethodError = function(collectionOperation) {
       collectionOperation
   };
 };
+ShareDbMongo.unsupportedQuerySubscriptionError = function(operator) {
+  return {
+    code: 4111,
+    message: 'Query operator not supported by query subscriptions: ' + operator
+  };
+};
+ShareDbMongo.$aggregateStageDisabledError = function(stage, collectionName) {
+  return {
+    code: 4112,
+    message: '$aggregate stage disabled: ' + stage +
+      ((collectionName === undefined) ? '' : ' from ' + collectionName)
+  };
+};
+ShareDbMongo.missingOptionError = function(method, option) {
+  return {code: 4113, message: method + ' requires the ' + option + ' option'};
+};
+ShareDbMongo.shardKeyMismatchError = function(collectionName, id, field) {
+  return {
+    code: 4114,
+    message: 'Shard key field ' + field + ' does not match the data of ' + collectionName + '.' + id
+  };
+};
 
 // Internal errors
 ShareDbMongo.alreadyClosedError = function() {
@@ -1663,6 +3844,31 @@ ShareDbMongo.missingOpsError = function(collectionName, id, from) {
     message: 'Missing ops from requested version ' + collectionName + '.' + id + ' ' + from
   };
 };
+ShareDbMongo.ambiguousOpChainError = function(collectionName, id, version) {
+  return {
+    code: 5105,
+    message: 'Multiple ops without a link to choose between them ' + collectionName + '.' + id + ' ' + version
+  };
+};
+ShareDbMongo.compactedOpsError = function(collectionName, id, version) {
+  return {
+    code: 5106,
+    message: 'Ops compacted at requested version ' + collectionName + '.' + id + ' ' + version
+  };
+};
+ShareDbMongo.historyTruncatedError = function(collectionName, id, version) {
+  return {
+    code: 5107,
+    message: 'History truncated before requested version ' + collectionName + '.' + id + ' ' + version
+  };
+};
+ShareDbMongo.middlewareTimeoutError = MiddlewareHandler.timeoutError;
+ShareDbMongo.healthCheckTimeoutError = function(name, timeout) {
+  return {
+    code: 5109,
+    message: 'Health check timed out: ' + name + ' did not respond to a ping within ' + timeout + 'ms'
+  };
+};
 // Modifies 'err' argument
 ShareDbMongo.parseQueryError = function(err) {
   err.code = 5104;
@@ -1671,8 +3877,17 @@ ShareDbMongo.parseQueryError = function(err) {
 
 // Middleware
 
-ShareDbMongo.prototype.use = function(action, fn) {
-  this._middleware.use(action, fn);
+ShareDbMongo.prototype.use = function(action, options, fn) {
+  this._middleware.use(action, options, fn);
+};
+
+ShareDbMongo.prototype.unuse = function(action, fn) {
+  this._middleware.unuse(action, fn);
 };
 
 ShareDbMongo.MiddlewareActions = MiddlewareHandler.Actions;
+
+ShareDbMongo.PubSub = ShareDbMongoPubSub;
+ShareDbMongo.MilestoneDB = ShareDbMongoMilestoneDB;
+
+ShareDbMongo.touchedFields = touchedFields;
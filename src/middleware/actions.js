@@ -5,5 +5,24 @@ module.exports = {
   beforeOverwrite: 'beforeOverwrite',
   // Triggers directly before the call to issue a query for snapshots
   // Applies for both a single lookup by ID and bulk lookups by a list of IDs
-  beforeSnapshotLookup: 'beforeSnapshotLookup'
+  beforeSnapshotLookup: 'beforeSnapshotLookup',
+  // Triggers before the call to write an op to the ops collection is made
+  beforeOpInsert: 'beforeOpInsert',
+  // Triggers before the call to remove the op of a failed commit is made
+  beforeOpDelete: 'beforeOpDelete',
+  // Triggers directly before the call to issue a query for ops
+  // Applies for lookups of a single doc's ops, bulk lookups and committed op
+  // lookups by src and seq
+  beforeOpsLookup: 'beforeOpsLookup',
+  // Triggers after a commit that wrote a new document, once its outcome is final
+  afterCreate: 'afterCreate',
+  // Triggers after a commit that replaced a document, once its outcome is final
+  afterOverwrite: 'afterOverwrite',
+  // Triggers after afterCreate or afterOverwrite for every commit
+  afterCommit: 'afterCommit',
+  // Triggers directly before the call to issue a query, queryPoll or
+  // queryPollDoc is made
+  beforeQuery: 'beforeQuery',
+  // Triggers after a query, queryPoll or queryPollDoc call has returned
+  afterQuery: 'afterQuery'
 };
@@ -2,23 +2,37 @@ var MIDDLEWARE_ACTIONS = require('./actions');
 
 function MiddlewareHandler() {
   this._middleware = {};
+  // Map from action -> collection name -> the middleware that applies to it,
+  // so that scoped middleware is only matched once per collection
+  this._collectionMiddleware = {};
 }
 
 /**
 * Add middleware to an action or array of actions
 *
 * @param action The action to use from MIDDLEWARE_ACTIONS (e.g. 'beforeOverwrite')
+* @param options Optional. May contain:
+*   - timeout: time in milliseconds after which the middleware fails with a middlewareTimeoutError
+*   - collections: only trigger the middleware for these collections. Either an array of collection names or a
+*     function that is called with a collection name and returns whether the middleware applies to it. The
+*     function is called once per collection, so it should always return the same result for a name
 * @param fn The function to call when this middleware is triggered
 * The fn receives a request object with information on the triggered action (e.g. the snapshot to write)
-* and a next function to call once the middleware is complete
+* and a next function to call once the middleware is complete. Instead of calling next, the fn may return
+* a Promise, for example by being an async function, in which case the middleware is complete once it
+* settles
 *
 * NOTE: It is recommended not to add async or long running tasks to the sharedb-mongo middleware as it will
 * be called very frequently during sensitive operations. It may have a significant performance impact.
 */
-MiddlewareHandler.prototype.use = function(action, fn) {
+MiddlewareHandler.prototype.use = function(action, options, fn) {
+  if (typeof options === 'function') {
+    fn = options;
+    options = null;
+  }
   if (Array.isArray(action)) {
     for (var i = 0; i < action.length; i++) {
-      this.use(action[i], fn);
+      this.use(action[i], options, fn);
     }
     return this;
   }
@@ -27,9 +41,42 @@ MiddlewareHandler.prototype.use = function(action, fn) {
   if (!Object.values(MIDDLEWARE_ACTIONS).includes(action)) {
     throw new Error('Unrecognized action name ' + action);
   }
+  var collections = options && options.collections;
+  if (collections && !Array.isArray(collections) && typeof collections !== 'function') {
+    throw new Error('Expected collections to be an array or a function');
+  }
 
-  var fns = this._middleware[action] || (this._middleware[action] = []);
-  fns.push(fn);
+  var middleware = {
+    fn: fn,
+    timeout: (options && options.timeout != null) ? options.timeout : null,
+    collections: collections || null
+  };
+  var middlewares = this._middleware[action] || (this._middleware[action] = []);
+  middlewares.push(middleware);
+  delete this._collectionMiddleware[action];
+  return this;
+};
+
+/**
+* Remove middleware added with `use` from an action or array of actions
+*
+* @param action The action the middleware was added to
+* @param fn The function that was passed to `use`
+*/
+MiddlewareHandler.prototype.unuse = function(action, fn) {
+  if (Array.isArray(action)) {
+    for (var i = 0; i < action.length; i++) {
+      this.unuse(action[i], fn);
+    }
+    return this;
+  }
+  var middlewares = this._middleware[action];
+  if (!middlewares) return this;
+  // Replace rather than edit the list, since a trigger may be iterating it
+  this._middleware[action] = middlewares.filter(function(middleware) {
+    return middleware.fn !== fn;
+  });
+  delete this._collectionMiddleware[action];
   return this;
 };
 
@@ -38,7 +85,8 @@ MiddlewareHandler.prototype.use = function(action, fn) {
  *
  * Middleware may modify the request object. After all middleware have been
  * invoked we call `callback` with `null` and the modified request. If one of
- * the middleware resturns an error the callback is called with that error.
+ * the middleware resturns an error, rejects or times out, the callback is
+ * called with that error.
  *
  * @param action The action to trigger from MIDDLEWARE_ACTIONS (e.g. 'beforeOverwrite')
  * @param request Request details such as the snapshot to write, depends on the triggered action
@@ -47,20 +95,73 @@ MiddlewareHandler.prototype.use = function(action, fn) {
 MiddlewareHandler.prototype.trigger = function(action, request, callback) {
   request.action = action;
 
-  var fns = this._middleware[action];
-  if (!fns) return callback();
+  var middlewares = this._getCollectionMiddleware(action, request.collectionName);
+  if (!middlewares.length) return callback();
 
   // Copying the triggers we'll fire so they don't get edited while we iterate.
-  fns = fns.slice();
+  middlewares = middlewares.slice();
   var next = function(err) {
     if (err) return callback(err);
-    var fn = fns.shift();
-    if (!fn) return callback();
-    fn(request, next);
+    var middleware = middlewares.shift();
+    if (!middleware) return callback();
+    invoke(middleware, request, next);
   };
   next();
 };
 
+MiddlewareHandler.prototype._getCollectionMiddleware = function(action, collectionName) {
+  var middlewares = this._middleware[action];
+  if (!middlewares) return [];
+  var byCollection = this._collectionMiddleware[action] ||
+    (this._collectionMiddleware[action] = Object.create(null));
+  var collectionMiddlewares = byCollection[collectionName];
+  if (collectionMiddlewares) return collectionMiddlewares;
+  collectionMiddlewares = byCollection[collectionName] = middlewares.filter(function(middleware) {
+    return appliesToCollection(middleware, collectionName);
+  });
+  return collectionMiddlewares;
+};
+
+function appliesToCollection(middleware, collectionName) {
+  var collections = middleware.collections;
+  if (!collections) return true;
+  if (typeof collections === 'function') return !!collections(collectionName);
+  return collections.indexOf(collectionName) !== -1;
+}
+
+// Call a middleware, completing once it calls next, its returned Promise
+// settles, or its timeout expires, whichever happens first
+function invoke(middleware, request, callback) {
+  var finished = false;
+  var timer = null;
+  var finish = function(err) {
+    if (finished) return;
+    finished = true;
+    if (timer) clearTimeout(timer);
+    callback(err);
+  };
+  if (middleware.timeout != null) {
+    timer = setTimeout(function() {
+      finish(MiddlewareHandler.timeoutError(request.action, middleware.timeout));
+    }, middleware.timeout);
+  }
+  var result = middleware.fn(request, finish);
+  if (result && typeof result.then === 'function') {
+    result.then(function() {
+      finish();
+    }, function(err) {
+      finish(err || new Error('Middleware for ' + request.action + ' rejected'));
+    });
+  }
+}
+
+MiddlewareHandler.timeoutError = function(action, timeout) {
+  return {
+    code: 5108,
+    message: 'Middleware timed out: ' + action + ' after ' + timeout + 'ms'
+  };
+};
+
 MiddlewareHandler.Actions = MIDDLEWARE_ACTIONS;
 
 module.exports = MiddlewareHandler;
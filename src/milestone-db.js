@@ -0,0 +1,185 @@
+var MilestoneDB = require('sharedb').MilestoneDB;
+var ShareDBError = require('sharedb').Error;
+
+var ERR_MILESTONE_ARGUMENT_INVALID = 'ERR_MILESTONE_ARGUMENT_INVALID';
+
+// ShareDB milestone database storing milestone snapshots alongside the
+// snapshots and ops of a ShareDbMongo instance, whose connection it shares.
+// The milestones of each collection are stored in the collection named by
+// `getMilestoneCollectionName`, one document per milestone.
+//
+// Milestones are saved every `interval` versions. If `timeInterval` is set,
+// ShareDB offers every committed snapshot, and it is also saved when the last
+// milestone of the doc is at least `timeInterval` milliseconds older.
+function ShareDbMongoMilestoneDB(db, options) {
+  if (!(this instanceof ShareDbMongoMilestoneDB)) {
+    return new ShareDbMongoMilestoneDB(db, options);
+  }
+  if (!db) {
+    throw new Error('ShareDbMongoMilestoneDB requires a ShareDbMongo instance');
+  }
+  // Milestones are stored in the default database, keyed by doc id only, so
+  // tenants with the same doc ids would read each other's milestones
+  if (db.tenantResolver) {
+    throw new Error('ShareDbMongoMilestoneDB does not support the tenantResolver option');
+  }
+  if (!options) options = {};
+  MilestoneDB.call(this, options);
+
+  this.db = db;
+  // Keep ShareDB collections out of the milestone collections
+  db._hasMilestoneDb = true;
+
+  this.versionInterval = options.interval || null;
+  this.timeInterval = options.timeInterval || null;
+  // ShareDB only offers the snapshots whose version is a multiple of
+  // `interval`, so have it offer all of them when saving by time
+  if (this.timeInterval) this.interval = 1;
+
+  // Map from collection name -> true for milestone collections we've
+  // ensureIndex'ed
+  this._milestoneIndexes = {};
+}
+module.exports = ShareDbMongoMilestoneDB;
+
+ShareDbMongoMilestoneDB.prototype = Object.create(MilestoneDB.prototype);
+
+ShareDbMongoMilestoneDB.prototype.getMilestoneSnapshot = function(collectionName, id, version, callback) {
+  if (!this._isValidVersion(version)) {
+    return this._callBackOrEmitError(invalidArgumentError('Invalid version'), callback);
+  }
+  var query = (version == null) ? {} : {v: {$lte: version}};
+  this._findMilestoneSnapshot(collectionName, id, query, {v: -1}, callback);
+};
+
+ShareDbMongoMilestoneDB.prototype.getMilestoneSnapshotAtOrBeforeTime = function(
+  collectionName, id, timestamp, callback
+) {
+  if (!this._isValidTimestamp(timestamp)) {
+    return this._callBackOrEmitError(invalidArgumentError('Invalid timestamp'), callback);
+  }
+  // Without a timestamp, the earliest milestone is returned
+  if (timestamp == null) {
+    return this._findMilestoneSnapshot(collectionName, id, {}, {v: 1}, callback);
+  }
+  var query = {'m.mtime': {$lte: timestamp}};
+  this._findMilestoneSnapshot(collectionName, id, query, {'m.mtime': -1, v: -1}, callback);
+};
+
+ShareDbMongoMilestoneDB.prototype.getMilestoneSnapshotAtOrAfterTime = function(
+  collectionName, id, timestamp, callback
+) {
+  if (!this._isValidTimestamp(timestamp)) {
+    return this._callBackOrEmitError(invalidArgumentError('Invalid timestamp'), callback);
+  }
+  // Without a timestamp, the latest milestone is returned
+  if (timestamp == null) {
+    return this._findMilestoneSnapshot(collectionName, id, {}, {v: -1}, callback);
+  }
+  var query = {'m.mtime': {$gte: timestamp}};
+  this._findMilestoneSnapshot(collectionName, id, query, {'m.mtime': 1, v: 1}, callback);
+};
+
+ShareDbMongoMilestoneDB.prototype.saveMilestoneSnapshot = function(collectionName, snapshot, callback) {
+  var self = this;
+  // ShareDB saves milestones without a callback, in which case we report the
+  // outcome with events, like the other milestone databases. Snapshots
+  // skipped because of the time interval don't emit 'save'
+  var saved = false;
+  if (!callback) {
+    callback = function(err) {
+      if (err) return self.emit('error', err);
+      if (saved) self.emit('save', collectionName, snapshot);
+    };
+  }
+  if (!collectionName) return this._callBackOrEmitError(invalidArgumentError('Missing collection'), callback);
+  if (!snapshot) return this._callBackOrEmitError(invalidArgumentError('Missing snapshot'), callback);
+
+  this.getMilestoneCollection(collectionName, function(err, collection) {
+    if (err) return callback(err);
+    self._shouldSave(collection, snapshot)
+      .then(function(shouldSave) {
+        if (!shouldSave) return;
+        var doc = {
+          d: snapshot.id,
+          v: snapshot.v,
+          type: snapshot.type,
+          data: snapshot.data,
+          m: snapshot.m
+        };
+        saved = true;
+        return collection.replaceOne({d: snapshot.id, v: snapshot.v}, doc, {upsert: true});
+      })
+      .then(function() {
+        callback(null);
+      }, callback);
+  });
+};
+
+// Get and return the milestone collection from mongo, ensuring it has the
+// milestone indexes
+ShareDbMongoMilestoneDB.prototype.getMilestoneCollection = function(collectionName, callback) {
+  var self = this;
+  this.db.getDbs(function(err, mongo) {
+    if (err) return callback(err);
+    var collection = mongo.collection(self.db.getMilestoneCollectionName(collectionName));
+    if (self.db.disableIndexCreation === true || self._milestoneIndexes[collectionName]) {
+      return callback(null, collection);
+    }
+    Promise.all([
+      collection.createIndex({d: 1, v: 1}, {background: true, unique: true}),
+      collection.createIndex({d: 1, 'm.mtime': 1}, {background: true})
+    ]).then(function() {
+      self._milestoneIndexes[collectionName] = true;
+      callback(null, collection);
+    }, callback);
+  });
+};
+
+// When saving by time, every committed snapshot is offered, so skip the ones
+// that are neither at a version interval nor far enough from the last
+// milestone of the doc
+ShareDbMongoMilestoneDB.prototype._shouldSave = function(collection, snapshot) {
+  if (!this.timeInterval) return Promise.resolve(true);
+  if (this.versionInterval && snapshot.v % this.versionInterval === 0) return Promise.resolve(true);
+  var timeInterval = this.timeInterval;
+  var mtime = getMtime(snapshot);
+  return collection.find({d: snapshot.id}).sort({v: -1}).limit(1).project({m: 1}).next()
+    .then(function(last) {
+      return !last || mtime - getMtime(last) >= timeInterval;
+    });
+};
+
+ShareDbMongoMilestoneDB.prototype._findMilestoneSnapshot = function(collectionName, id, query, sort, callback) {
+  if (!collectionName) return this._callBackOrEmitError(invalidArgumentError('Missing collection'), callback);
+  if (!id) return this._callBackOrEmitError(invalidArgumentError('Missing ID'), callback);
+  var self = this;
+  this.getMilestoneCollection(collectionName, function(err, collection) {
+    if (err) return self._callBackOrEmitError(err, callback);
+    query = Object.assign({d: id}, query);
+    collection.find(query).sort(sort).limit(1).next()
+      .then(function(doc) {
+        callback(null, doc ? castToSnapshot(doc) : undefined);
+      }, function(err) {
+        self._callBackOrEmitError(err, callback);
+      });
+  });
+};
+
+function castToSnapshot(doc) {
+  return {
+    id: doc.d,
+    v: doc.v,
+    type: doc.type,
+    data: doc.data,
+    m: doc.m
+  };
+}
+
+function getMtime(snapshot) {
+  return (snapshot.m && snapshot.m.mtime) || Date.now();
+}
+
+function invalidArgumentError(message) {
+  return new ShareDBError(ERR_MILESTONE_ARGUMENT_INVALID, message);
+}
@@ -0,0 +1,328 @@
+var PubSub = require('sharedb').PubSub;
+
+// ShareDB pub/sub adapter built on MongoDB change streams
+//
+// Ops don't need to be published explicitly: every server tails the ops
+// collections named by `getOplogCollectionName` and emits the ops inserted
+// there. Only ops written in a transaction are known to be committed when
+// they are inserted, so this adapter requires the `transactions` option of
+// the ShareDbMongo instance whose connection it shares. Other messages, such
+// as presence, and ops published to channels other than their collection and
+// doc channels are passed through a separate messages collection.
+//
+// Change streams need a replica set or sharded cluster.
+function ShareDbMongoPubSub(db, options) {
+  if (!(this instanceof ShareDbMongoPubSub)) {
+    return new ShareDbMongoPubSub(db, options);
+  }
+  if (!db || !db.transactions) {
+    throw new Error('ShareDbMongoPubSub requires a ShareDbMongo instance with the transactions option');
+  }
+  // Only the op collections of the default database are watched
+  if (db.tenantResolver) {
+    throw new Error('ShareDbMongoPubSub does not support the tenantResolver option');
+  }
+  if (!options) options = {};
+  PubSub.call(this, options);
+
+  this.db = db;
+
+  // Collection used to pass published messages that are not ops
+  this.messagesCollectionName = options.messagesCollectionName || 'pubsub_messages';
+
+  // Messages only need to live long enough to be read by every server. They
+  // are expired by a TTL index, unless the ShareDbMongo instance disables
+  // index creation
+  this.messagesExpireAfterSeconds = options.messagesExpireAfterSeconds || 60;
+
+  // When a name is given, the resume token of each change stream is stored
+  // under that name, so that a server restarted with the same name catches
+  // up on the changes it missed while it was down
+  this.name = options.name || null;
+  this.resumeTokensCollectionName = options.resumeTokensCollectionName || 'pubsub_resume_tokens';
+
+  // Resume tokens are saved at most once per interval, in milliseconds
+  this.resumeTokenSaveInterval = (options.resumeTokenSaveInterval != null) ?
+    options.resumeTokenSaveInterval : 1000;
+
+  // Map from watcher name -> watcher. There is one watcher for the messages
+  // collection and one for each ShareDB collection with subscribed channels
+  this._watchers = {};
+}
+module.exports = ShareDbMongoPubSub;
+
+ShareDbMongoPubSub.prototype = Object.create(PubSub.prototype);
+
+// Name of the watcher for the messages collection. Mongo collection names
+// can't contain '$', so this can't clash with a collection watcher
+var MESSAGES_WATCHER = '$messages';
+
+ShareDbMongoPubSub.prototype.close = function(callback) {
+  // Take the watchers before destroying the streams, so that we wait for
+  // them to close here rather than as the streams unsubscribe
+  var watchers = this._watchers;
+  this._watchers = {};
+  PubSub.prototype.close.call(this);
+  var promises = [];
+  for (var name in watchers) {
+    promises.push(this._closeWatcher(watchers[name]));
+  }
+  Promise.all(promises)
+    .then(function() {
+      if (callback) callback();
+    }, callback);
+};
+
+ShareDbMongoPubSub.prototype._subscribe = function(channel, callback) {
+  var promises = [this._watch(MESSAGES_WATCHER)];
+  var collectionName = this._getChannelCollectionName(channel);
+  if (collectionName) promises.push(this._watch(collectionName));
+  Promise.all(promises)
+    .then(function() {
+      callback();
+    }, callback);
+};
+
+ShareDbMongoPubSub.prototype._unsubscribe = function(channel, callback) {
+  var promises = [this._unwatch(MESSAGES_WATCHER)];
+  var collectionName = this._getChannelCollectionName(channel);
+  if (collectionName) promises.push(this._unwatch(collectionName));
+  Promise.all(promises)
+    .then(function() {
+      callback();
+    }, callback);
+};
+
+ShareDbMongoPubSub.prototype._publish = function(channels, data, callback) {
+  // Committed ops reach every server through the ops collection change
+  // streams on their collection and doc channels. Only other channels, such
+  // as ones added by middleware, are published through the messages
+  // collection
+  if (isOp(data)) {
+    channels = this._getExtraOpChannels(channels, data);
+    if (!channels.length) return process.nextTick(callback);
+  }
+
+  var self = this;
+  this.db.getDbs(function(err, mongo) {
+    if (err) return callback(err);
+    // Messages are stored as JSON, since their keys may not be valid field
+    // names in Mongo
+    var message = {ch: channels, data: JSON.stringify(data), t: new Date()};
+    self._getMessagesCollection(mongo)
+      .then(function(collection) {
+        return collection.insertOne(message);
+      })
+      .then(function() {
+        callback();
+      }, callback);
+  });
+};
+
+// Return the ShareDB collection name of a collection or doc channel, or null
+// for other channels, such as presence channels
+ShareDbMongoPubSub.prototype._getChannelCollectionName = function(channel) {
+  if (this.prefix) channel = channel.slice(this.prefix.length + 1);
+  if (channel[0] === '$') return null;
+  var index = channel.indexOf('.');
+  return (index === -1) ? channel : channel.slice(0, index);
+};
+
+ShareDbMongoPubSub.prototype._getChannel = function(channel) {
+  return (this.prefix) ? this.prefix + ' ' + channel : channel;
+};
+
+// Channels that change streams emit ops to
+ShareDbMongoPubSub.prototype._getOpChannels = function(collectionName, id) {
+  return [
+    this._getChannel(collectionName),
+    this._getChannel(collectionName + '.' + id)
+  ];
+};
+
+ShareDbMongoPubSub.prototype._getExtraOpChannels = function(channels, op) {
+  var opChannels = this._getOpChannels(op.c, op.d);
+  return channels.filter(function(channel) {
+    return opChannels.indexOf(channel) === -1;
+  });
+};
+
+ShareDbMongoPubSub.prototype._getMessagesCollection = function(mongo) {
+  var collection = mongo.collection(this.messagesCollectionName);
+  if (this.db.disableIndexCreation === true || this._messagesIndexCreated) {
+    return Promise.resolve(collection);
+  }
+  var self = this;
+  return collection.createIndex({t: 1}, {expireAfterSeconds: this.messagesExpireAfterSeconds, background: true})
+    .then(function() {
+      self._messagesIndexCreated = true;
+      return collection;
+    });
+};
+
+ShareDbMongoPubSub.prototype._watch = function(name) {
+  var watcher = this._watchers[name] || (this._watchers[name] = this._openWatcher(name));
+  watcher.count++;
+  return watcher.ready;
+};
+
+ShareDbMongoPubSub.prototype._unwatch = function(name) {
+  var watcher = this._watchers[name];
+  if (!watcher) return Promise.resolve();
+  watcher.count--;
+  if (watcher.count > 0) return Promise.resolve();
+  delete this._watchers[name];
+  return this._closeWatcher(watcher);
+};
+
+ShareDbMongoPubSub.prototype._openWatcher = function(name) {
+  var self = this;
+  var watcher = {
+    name: name,
+    count: 0,
+    changeStream: null,
+    resumeToken: null,
+    saveTimeout: null,
+    closed: false,
+    ready: null
+  };
+  watcher.ready = new Promise(function(resolve, reject) {
+    self.db.getDbs(function(err, mongo) {
+      if (err) return reject(err);
+      resolve(mongo);
+    });
+  }).then(function(mongo) {
+    return Promise.all([mongo, self._getWatchOptions(mongo, name)]);
+  }).then(function(results) {
+    var mongo = results[0];
+    var watchOptions = results[1];
+    if (watcher.closed) return;
+    var isMessages = name === MESSAGES_WATCHER;
+    var collectionName = (isMessages) ?
+      self.messagesCollectionName :
+      self.db.getOplogCollectionName(name);
+    // Only ops written in a transaction are known to be committed
+    var match = (isMessages) ?
+      {operationType: 'insert'} :
+      {operationType: 'insert', 'fullDocument.tx': true};
+    // A shared op collection has the ops of every ShareDB collection
+    if (!isMessages && self.db.sharedOpCollection) match['fullDocument.c'] = name;
+    var changeStream = mongo.collection(collectionName).watch([{$match: match}], watchOptions);
+    watcher.changeStream = changeStream;
+    changeStream.on('change', function(change) {
+      watcher.resumeToken = change._id;
+      self._scheduleSaveResumeToken(watcher);
+      if (isMessages) {
+        self._emitMessage(change.fullDocument);
+      } else {
+        self._emitOp(name, change.fullDocument);
+      }
+    });
+    changeStream.on('error', function(err) {
+      self.emit('error', err);
+    });
+  });
+  return watcher;
+};
+
+// Resume after the saved resume token if there is one. Otherwise start at
+// the current operation time, so that changes made after subscribing are
+// seen even if the change stream cursor isn't open yet
+ShareDbMongoPubSub.prototype._getWatchOptions = function(mongo, name) {
+  return this._loadResumeToken(mongo, name).then(function(resumeToken) {
+    if (resumeToken) return {resumeAfter: resumeToken};
+    return mongo.command({ping: 1}).then(function(result) {
+      return (result && result.operationTime) ? {startAtOperationTime: result.operationTime} : {};
+    });
+  });
+};
+
+ShareDbMongoPubSub.prototype._closeWatcher = function(watcher) {
+  var self = this;
+  watcher.closed = true;
+  clearTimeout(watcher.saveTimeout);
+  return watcher.ready.then(function() {
+    var changeStream = watcher.changeStream;
+    watcher.changeStream = null;
+    return Promise.all([
+      changeStream && changeStream.close(),
+      self._saveResumeToken(watcher)
+    ]);
+  });
+};
+
+ShareDbMongoPubSub.prototype._emitOp = function(collectionName, doc) {
+  var op = {};
+  for (var key in doc) {
+    // Don't publish the fields that are only for use internal to
+    // sharedb-mongo or the metadata, same as ShareDB does
+    if (key === '_id' || key === 'd' || key === 'o' || key === 'tx' || key === 'm') continue;
+    op[key] = doc[key];
+  }
+  // Nor the shard key fields, which are only for routing
+  this.db._removeShardKey(collectionName, doc.d, op);
+  op.c = collectionName;
+  op.d = doc.d;
+  this._emitToChannels(this._getOpChannels(collectionName, doc.d), op);
+};
+
+ShareDbMongoPubSub.prototype._emitMessage = function(message) {
+  this._emitToChannels(message.ch, JSON.parse(message.data));
+};
+
+ShareDbMongoPubSub.prototype._emitToChannels = function(channels, data) {
+  for (var i = 0; i < channels.length; i++) {
+    var channel = channels[i];
+    if (this.subscribed[channel]) {
+      this._emit(channel, data);
+    }
+  }
+};
+
+ShareDbMongoPubSub.prototype._getResumeTokenId = function(name) {
+  return this.name + ' ' + name;
+};
+
+ShareDbMongoPubSub.prototype._loadResumeToken = function(mongo, name) {
+  if (!this.name) return Promise.resolve(null);
+  var collection = mongo.collection(this.resumeTokensCollectionName);
+  return collection.find({_id: this._getResumeTokenId(name)}).limit(1).next()
+    .then(function(doc) {
+      return doc && doc.token;
+    });
+};
+
+ShareDbMongoPubSub.prototype._scheduleSaveResumeToken = function(watcher) {
+  if (!this.name || watcher.saveTimeout) return;
+  var self = this;
+  watcher.saveTimeout = setTimeout(function() {
+    watcher.saveTimeout = null;
+    self._saveResumeToken(watcher).catch(function(err) {
+      self.emit('error', err);
+    });
+  }, this.resumeTokenSaveInterval);
+};
+
+ShareDbMongoPubSub.prototype._saveResumeToken = function(watcher) {
+  if (!this.name || !watcher.resumeToken) return Promise.resolve();
+  var self = this;
+  var resumeToken = watcher.resumeToken;
+  return new Promise(function(resolve, reject) {
+    self.db.getDbs(function(err, mongo) {
+      if (err) return reject(err);
+      resolve(mongo);
+    });
+  }).then(function(mongo) {
+    var collection = mongo.collection(self.resumeTokensCollectionName);
+    var query = {_id: self._getResumeTokenId(watcher.name)};
+    return collection.updateOne(query, {$set: {token: resumeToken}}, {upsert: true});
+  });
+};
+
+function isOp(data) {
+  return data != null &&
+    typeof data.c === 'string' &&
+    data.d != null &&
+    typeof data.v === 'number' &&
+    (data.op != null || data.create != null || data.del != null);
+}
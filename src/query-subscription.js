@@ -0,0 +1,133 @@
+var EventEmitter = require('events').EventEmitter;
+
+// How long the version of a snapshot out of the results is remembered, in ms
+var LEFT_VERSION_TTL = 60000;
+
+// Keeps the ids of the snapshots matching a query up to date by watching the
+// snapshot collection with change streams, instead of re-running the query.
+//
+// Two change streams are opened: one with the query as `$match` filter, which
+// reports snapshots entering or staying in the results, and one with the
+// negated query, which reports snapshots leaving them. The streams are read
+// independently, so the version of each snapshot is tracked in order to
+// ignore events older than the last one handled for the same snapshot. The
+// version of a snapshot out of the results is only kept for a short while,
+// since the other stream is never far behind.
+//
+// Emits 'added' and 'removed' with the id of the snapshot whenever the
+// results change, and 'error' if a change stream fails.
+function QuerySubscription(mongo, collection, query, enterMatch, leaveMatch) {
+  EventEmitter.call(this);
+  this.mongo = mongo;
+  this.collection = collection;
+  this.query = query;
+  this._enterMatch = enterMatch;
+  this._leaveMatch = leaveMatch;
+
+  // Map from id -> true for the snapshots currently in the results
+  this._ids = {};
+  // Map from id -> version of the last event handled for the snapshots
+  // currently in the results
+  this._versions = {};
+  // Map from id -> {version, time} of the last event handled for snapshots
+  // that recently left the results or never entered them, oldest first
+  this._leftVersions = new Map();
+
+  this._changeStreams = [];
+  this.closed = false;
+}
+module.exports = QuerySubscription;
+
+QuerySubscription.prototype = Object.create(EventEmitter.prototype);
+QuerySubscription.prototype.constructor = QuerySubscription;
+
+// Open the change streams, then fetch the initial results. The streams start
+// at the current operation time, so that no change is missed between the
+// initial query and the streams being ready
+QuerySubscription.prototype.start = function(callback) {
+  var self = this;
+  this.mongo.command({ping: 1})
+    .then(function(result) {
+      var watchOptions = (result && result.operationTime) ? {startAtOperationTime: result.operationTime} : {};
+      self._watch(self._enterMatch, true, watchOptions);
+      self._watch(self._leaveMatch, false, watchOptions);
+      return self.collection.find(self.query).project({_id: 1, _v: 1}).toArray();
+    })
+    .then(function(docs) {
+      for (var i = 0; i < docs.length; i++) {
+        var doc = docs[i];
+        self._update(doc._id, doc._v, true, true);
+      }
+      callback(null, self.getIds());
+    }, function(err) {
+      self.close();
+      callback(err);
+    });
+};
+
+QuerySubscription.prototype.getIds = function() {
+  return Object.keys(this._ids);
+};
+
+QuerySubscription.prototype.close = function(callback) {
+  var changeStreams = this._changeStreams;
+  this._changeStreams = [];
+  this.closed = true;
+  var promises = [];
+  for (var i = 0; i < changeStreams.length; i++) {
+    promises.push(changeStreams[i].close());
+  }
+  Promise.all(promises)
+    .then(function() {
+      if (callback) callback();
+    }, function(err) {
+      if (callback) callback(err);
+    });
+};
+
+QuerySubscription.prototype._watch = function(match, matches, watchOptions) {
+  var self = this;
+  var changeStream = this.collection.watch([{$match: match}], watchOptions);
+  this._changeStreams.push(changeStream);
+  changeStream.on('change', function(change) {
+    if (self.closed) return;
+    // Snapshots are only ever inserted or replaced, so the change event
+    // holds the snapshot as written, except when it is deleted outright
+    var version = (change.fullDocument) ? change.fullDocument._v : null;
+    self._update(change.documentKey._id, version, matches, false);
+  });
+  changeStream.on('error', function(err) {
+    self.emit('error', err);
+  });
+};
+
+QuerySubscription.prototype._update = function(id, version, matches, silent) {
+  this._pruneLeftVersions();
+  var wasMatch = !!this._ids[id];
+  var left = this._leftVersions.get(id);
+  var lastVersion = (wasMatch) ? this._versions[id] : left && left.version;
+  if (version != null && lastVersion != null && version <= lastVersion) return;
+
+  if (matches) {
+    this._leftVersions.delete(id);
+    this._ids[id] = true;
+    this._versions[id] = version;
+    if (!wasMatch && !silent) this.emit('added', id);
+    return;
+  }
+  delete this._ids[id];
+  delete this._versions[id];
+  // Delete before setting, so that the entry moves to the end of the map
+  this._leftVersions.delete(id);
+  this._leftVersions.set(id, {version: version, time: Date.now()});
+  if (wasMatch && !silent) this.emit('removed', id);
+};
+
+QuerySubscription.prototype._pruneLeftVersions = function() {
+  var cutoff = Date.now() - LEFT_VERSION_TTL;
+  var entries = this._leftVersions.entries();
+  for (var entry = entries.next(); !entry.done; entry = entries.next()) {
+    if (entry.value[1].time > cutoff) break;
+    this._leftVersions.delete(entry.value[0]);
+  }
+};
@@ -0,0 +1,185 @@
+var types = require('sharedb').types;
+
+// Registry of the OT types whose ops skipPoll can check for the paths in a
+// doc they touch, so that it can skip polling queries that don't read any of
+// them.
+//
+// Each type is registered by its name or URI with these functions:
+//   getTouchedPaths(op): the paths that `op` touches, as arrays of keys, with
+//     numbers for array indexes, or null if it may touch the whole doc
+//   getTouchedFields(op): used instead of getTouchedPaths if that isn't
+//     given. The names of the top-level fields that `op` touches, or null
+//   isOp(op): optional. Edit ops don't say which type they are for, so when
+//     the type of the doc isn't known, the first type registered whose isOp
+//     returns true for `op` is used
+//
+// Registering a type again replaces it in place.
+var extractors = [];
+
+exports.register = function(type, extractor) {
+  for (var i = 0; i < extractors.length; i++) {
+    if (extractors[i].type === type) {
+      extractors[i].extractor = extractor;
+      return;
+    }
+  }
+  extractors.push({type: type, extractor: extractor});
+};
+
+exports.unregister = function(type) {
+  extractors = extractors.filter(function(item) {
+    return item.type !== type;
+  });
+};
+
+// Return the paths touched by an op on a doc of the given type, or null if it
+// may touch the whole doc or its type isn't registered. Without a type, the
+// type is found with isOp
+exports.getTouchedPaths = function(op, type) {
+  var extractor = (type) ? findExtractor(type) : guessExtractor(op);
+  if (!extractor) return null;
+  if (extractor.getTouchedPaths) return extractor.getTouchedPaths(op);
+  var fields = extractor.getTouchedFields(op);
+  return fields && fields.map(function(field) {
+    return [field];
+  });
+};
+
+// Types are named by their URI in snapshots, and may be registered by either
+// their name or their URI
+function findExtractor(type) {
+  var otType = types.map[type] || BUILT_IN_TYPES[type];
+  for (var i = 0; i < extractors.length; i++) {
+    var item = extractors[i];
+    if (item.type === type || (otType && (item.type === otType.name || item.type === otType.uri))) {
+      return item.extractor;
+    }
+  }
+}
+
+function guessExtractor(op) {
+  for (var i = 0; i < extractors.length; i++) {
+    var extractor = extractors[i].extractor;
+    if (extractor.isOp && extractor.isOp(op)) return extractor;
+  }
+}
+
+// json1 isn't registered with ShareDB unless the app uses it
+var BUILT_IN_TYPES = {
+  'http://sharejs.org/types/JSONv1': {name: 'json1', uri: 'http://sharejs.org/types/JSONv1'}
+};
+
+// json0 ops are lists of components with a path `p` each
+exports.register('json0', {
+  isOp: function(op) {
+    if (!Array.isArray(op)) return false;
+    for (var i = 0; i < op.length; i++) {
+      if (!op[i] || !Array.isArray(op[i].p)) return false;
+    }
+    return true;
+  },
+  getTouchedPaths: function(op) {
+    var paths = [];
+    for (var i = 0; i < op.length; i++) {
+      var path = op[i].p;
+      if (path.length === 0) return null;
+      paths.push(path);
+    }
+    return paths;
+  }
+});
+
+// json1 ops are trees of descents. A descent starts with the keys of its
+// path and continues with the components to apply there, followed by the
+// descents into its children
+var JSON1_COMPONENT_KEYS = ['p', 'r', 'd', 'i', 'e', 'es', 'ena'];
+
+exports.register('json1', {
+  isOp: function(op) {
+    var slots = {picks: [], drops: []};
+    return isJson1Descent(op, true, slots) && areJson1SlotsPaired(slots);
+  },
+  getTouchedPaths: function(op) {
+    var paths = [];
+    return (addJson1Paths(op, [], paths) && paths.length) ? paths : null;
+  }
+});
+
+// Check that a descent is made of keys, then an optional component, then
+// child descents, and that it has a component somewhere. Only the descent at
+// the root of an op may start without a key. The slots of the picks and drops
+// of moves are collected in `slots`
+function isJson1Descent(descent, isRoot, slots) {
+  if (!Array.isArray(descent) || !descent.length) return false;
+  var i = 0;
+  while (i < descent.length && isJson1Key(descent[i])) i++;
+  if (i === 0 && !isRoot) return false;
+  var hasComponent = i < descent.length && isJson1Component(descent[i], slots);
+  if (hasComponent) i++;
+  if (!hasComponent && i === descent.length) return false;
+  for (; i < descent.length; i++) {
+    if (!isJson1Descent(descent[i], false, slots)) return false;
+  }
+  return true;
+}
+
+function isJson1Key(value) {
+  return typeof value === 'string' || typeof value === 'number';
+}
+
+// Add the paths of the components of a descent, returning false if there is
+// a component at the root of the doc
+function addJson1Paths(descent, path, paths) {
+  path = path.slice();
+  for (var i = 0; i < descent.length; i++) {
+    var item = descent[i];
+    if (isJson1Key(item)) {
+      path.push(item);
+    } else if (Array.isArray(item)) {
+      if (!addJson1Paths(item, path, paths)) return false;
+    } else {
+      if (!path.length) return false;
+      paths.push(path);
+    }
+  }
+  return true;
+}
+
+function isJson1Component(value, slots) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  var keys = Object.keys(value);
+  if (!keys.length) return false;
+  for (var i = 0; i < keys.length; i++) {
+    if (JSON1_COMPONENT_KEYS.indexOf(keys[i]) === -1) return false;
+  }
+  if (value.hasOwnProperty('p')) {
+    if (!isSlot(value.p)) return false;
+    slots.picks.push(value.p);
+  }
+  if (value.hasOwnProperty('d')) {
+    if (!isSlot(value.d)) return false;
+    slots.drops.push(value.d);
+  }
+  return true;
+}
+
+function compareNumbers(a, b) {
+  return a - b;
+}
+
+function isSlot(value) {
+  return typeof value === 'number' && value >= 0 && value % 1 === 0;
+}
+
+// Each slot is picked up once and dropped once. Text ops, such as those of
+// ot-text and text-unicode, delete with `{d: count}` components that would
+// otherwise read as json1 drops, but they never pick anything up
+function areJson1SlotsPaired(slots) {
+  if (slots.picks.length !== slots.drops.length) return false;
+  var picks = slots.picks.slice().sort(compareNumbers);
+  var drops = slots.drops.slice().sort(compareNumbers);
+  for (var i = 0; i < picks.length; i++) {
+    if (picks[i] !== drops[i] || picks[i] === picks[i - 1]) return false;
+  }
+  return true;
+}
@@ -0,0 +1,195 @@
+var expect = require('chai').expect;
+var ObjectId = require('mongodb').ObjectId;
+var ShareDbMongo = require('..');
+
+var mongoUrl = process.env.TEST_MONGO_URL || 'mongodb://localhost:27017/test';
+
+function create(callback) {
+  var db = new ShareDbMongo(mongoUrl);
+  db.getDbs(function(err, mongo) {
+    if (err) return callback(err);
+    mongo.dropDatabase()
+      .then(function() {
+        callback(null, db, mongo);
+      })
+      .catch(callback);
+  });
+};
+
+describe('collectOrphanOps', function() {
+  var collection = 'testcollection';
+
+  beforeEach(function(done) {
+    var self = this;
+    create(function(err, db, mongo) {
+      if (err) return done(err);
+      self.db = db;
+      self.mongo = mongo;
+      commitOpChain(db, mongo, collection, 'doc1', 3, function(err) {
+        if (err) return done(err);
+        // Orphans left behind by commits that lost the race for versions 1
+        // and 2, and an op of a commit that may still be in flight
+        mongo.collection('o_' + collection).insertMany([
+          {d: 'doc1', v: 1, op: [], o: null},
+          {d: 'doc1', v: 2, op: [], o: null},
+          {d: 'doc1', v: 3, op: [], o: null}
+        ]).then(function() {
+          done();
+        }, done);
+      });
+    });
+  });
+
+  afterEach(function(done) {
+    this.db.close(done);
+  });
+
+  it('deletes ops that are not on the canonical chain', function(done) {
+    var db = this.db;
+    var mongo = this.mongo;
+    db.collectOrphanOps(collection, {batchDelay: 0}, function(err, result) {
+      if (err) return done(err);
+      expect(result).to.eql({docs: 1, ops: 6, orphans: 2, removed: 2, skipped: 0});
+      mongo.collection('o_' + collection).find({}).sort({v: 1}).toArray().then(function(ops) {
+        expect(ops.map(function(op) {
+          return op.v;
+        })).to.eql([0, 1, 2, 3]);
+        db.getOps(collection, 'doc1', 0, null, null, function(err, ops) {
+          if (err) return done(err);
+          expect(ops.length).to.equal(3);
+          done();
+        });
+      }, done);
+    });
+  });
+
+  it('moves orphan ops to the quarantine collection', function(done) {
+    var mongo = this.mongo;
+    var options = {quarantineCollectionName: 'quarantine', batchDelay: 0};
+    this.db.collectOrphanOps(collection, options, function(err, result) {
+      if (err) return done(err);
+      expect(result.removed).to.equal(2);
+      mongo.collection('quarantine').find({}).sort({v: 1}).toArray().then(function(ops) {
+        expect(ops.length).to.equal(2);
+        expect(ops[0]).to.include({d: 'doc1', v: 1, o: null});
+        expect(ops[1]).to.include({d: 'doc1', v: 2, o: null});
+        done();
+      }, done);
+    });
+  });
+
+  it('only counts orphan ops in a dry run', function(done) {
+    var mongo = this.mongo;
+    this.db.collectOrphanOps(collection, {dryRun: true}, function(err, result) {
+      if (err) return done(err);
+      expect(result.orphans).to.equal(2);
+      expect(result.removed).to.equal(0);
+      mongo.collection('o_' + collection).countDocuments({}).then(function(count) {
+        expect(count).to.equal(6);
+        done();
+      }, done);
+    });
+  });
+
+  it('removes orphan ops in batches', function(done) {
+    var db = this.db;
+    var mongo = this.mongo;
+    commitOpChain(db, mongo, collection, 'doc2', 2, function(err) {
+      if (err) return done(err);
+      mongo.collection('o_' + collection).insertOne({d: 'doc2', v: 1, op: [], o: null}).then(function() {
+        var options = {batchSize: 1, batchDelay: 0};
+        var removeOps = db._removeOps;
+        var calls = 0;
+        db._removeOps = function() {
+          calls++;
+          return removeOps.apply(this, arguments);
+        };
+        db.collectOrphanOps(collection, options, function(err, result) {
+          if (err) return done(err);
+          expect(result.removed).to.equal(3);
+          expect(calls).to.equal(2);
+          done();
+        });
+      }, done);
+    });
+  });
+
+  it('skips docs whose snapshot is missing the last op link', function(done) {
+    var db = this.db;
+    this.mongo.collection(collection).updateOne({_id: 'doc1'}, {$unset: {_o: true}}).then(function() {
+      db.collectOrphanOps(collection, {batchDelay: 0}, function(err, result) {
+        if (err) return done(err);
+        expect(result.skipped).to.equal(1);
+        expect(result.orphans).to.equal(0);
+        done();
+      });
+    }, done);
+  });
+
+  it('skips docs whose snapshot moves on after their ops are read', function(done) {
+    var db = this.db;
+    var mongo = this.mongo;
+    var getSnapshotOpLink = db._getSnapshotOpLink;
+    db._getSnapshotOpLink = function() {
+      var self = this;
+      var args = arguments;
+      // Commit the next op of the doc in between reading its ops and its
+      // snapshot
+      mongo.collection(collection).findOne({_id: 'doc1'})
+        .then(function(doc) {
+          return mongo.collection('o_' + collection).insertOne({d: 'doc1', v: 3, op: [], o: doc._o});
+        })
+        .then(function(result) {
+          return mongo.collection(collection).updateOne({_id: 'doc1'}, {$set: {_v: 4, _o: result.insertedId}});
+        })
+        .then(function() {
+          getSnapshotOpLink.apply(self, args);
+        }, done);
+    };
+    db.collectOrphanOps(collection, {batchDelay: 0}, function(err, result) {
+      if (err) return done(err);
+      expect(result.skipped).to.equal(1);
+      expect(result.orphans).to.equal(0);
+      mongo.collection('o_' + collection).countDocuments({}).then(function(count) {
+        expect(count).to.equal(7);
+        done();
+      }, done);
+    });
+  });
+
+  it('skips docs whose snapshot links to a missing op', function(done) {
+    var db = this.db;
+    var mongo = this.mongo;
+    mongo.collection(collection).updateOne({_id: 'doc1'}, {$set: {_o: new ObjectId()}}).then(function() {
+      db.collectOrphanOps(collection, {batchDelay: 0}, function(err, result) {
+        if (err) return done(err);
+        expect(result.skipped).to.equal(1);
+        expect(result.orphans).to.equal(0);
+        mongo.collection('o_' + collection).countDocuments({}).then(function(count) {
+          expect(count).to.equal(6);
+          done();
+        }, done);
+      });
+    }, done);
+  });
+});
+
+function commitOpChain(db, mongo, collection, id, count, callback) {
+  var version = 0;
+  var opLink = null;
+  function next() {
+    if (version === count) return callback();
+    var op = (version === 0) ? {v: 0, create: {type: 'json0'}} : {v: version, op: []};
+    var snapshot = {id: id, v: version + 1, type: 'json0', data: {}, m: null, _opLink: opLink};
+    db.commit(collection, id, op, snapshot, null, function(err) {
+      if (err) return callback(err);
+      mongo.collection('o_' + collection).find({d: id, v: version}).next()
+        .then(function(op) {
+          opLink = op._id;
+          version++;
+          next();
+        }, callback);
+    });
+  }
+  next();
+}
@@ -0,0 +1,145 @@
+var expect = require('chai').expect;
+var ShareDbMongo = require('..');
+
+var mongoUrl = process.env.TEST_MONGO_URL || 'mongodb://localhost:27017/test';
+
+function create(options, callback) {
+  var db = new ShareDbMongo(mongoUrl, options);
+  db.getDbs(function(err, mongo) {
+    if (err) return callback(err);
+    mongo.dropDatabase()
+      .then(function() {
+        callback(null, db, mongo);
+      })
+      .catch(callback);
+  });
+};
+
+describe('collection name options', function() {
+  afterEach(function(done) {
+    this.db.close(done);
+  });
+
+  function setup(options) {
+    beforeEach(function(done) {
+      var self = this;
+      create(options, function(err, db, mongo) {
+        if (err) return done(err);
+        self.db = db;
+        self.mongo = mongo;
+        done();
+      });
+    });
+  }
+
+  function commitAndCount(db, mongo, names, callback) {
+    var snapshot = {type: 'json0', id: 'doc1', v: 1, data: {x: 1}};
+    db.commit('docs', 'doc1', {v: 0, create: {type: 'json0'}}, snapshot, null, function(err) {
+      if (err) return callback(err);
+      Promise.all(names.map(function(name) {
+        return mongo.collection(name).countDocuments({});
+      })).then(function(counts) {
+        callback(null, counts);
+      }, callback);
+    });
+  }
+
+  describe('by default', function() {
+    setup({});
+
+    it('stores ops in o_ collections', function(done) {
+      commitAndCount(this.db, this.mongo, ['docs', 'o_docs'], function(err, counts) {
+        if (err) return done(err);
+        expect(counts).to.eql([1, 1]);
+        done();
+      });
+    });
+
+    it('rejects system and o_ collection names', function() {
+      expect(this.db.validateCollectionName('system').code).to.equal(4102);
+      expect(this.db.validateCollectionName('o_docs').code).to.equal(4102);
+      expect(this.db.validateCollectionName('docs')).to.equal(undefined);
+    });
+
+    it('allows m_ collection names without a milestone db', function() {
+      expect(this.db.validateCollectionName('m_docs')).to.equal(undefined);
+    });
+
+    it('rejects m_ collection names with a milestone db', function() {
+      new ShareDbMongo.MilestoneDB(this.db);
+      expect(this.db.validateCollectionName('m_docs').code).to.equal(4102);
+    });
+
+    it('allows m_ collection names with another milestone collection name', function() {
+      new ShareDbMongo.MilestoneDB(this.db);
+      this.db.getMilestoneCollectionName = function(collectionName) {
+        return 'milestones_' + collectionName;
+      };
+      expect(this.db.validateCollectionName('m_docs')).to.equal(undefined);
+    });
+  });
+
+  describe('with prefixes and suffixes', function() {
+    setup({
+      snapshotCollectionName: {prefix: 's_'},
+      opCollectionName: {prefix: 's_', suffix: '_ops'}
+    });
+
+    it('stores snapshots and ops in the mapped collections', function(done) {
+      commitAndCount(this.db, this.mongo, ['s_docs', 's_docs_ops', 'docs', 'o_docs'], function(err, counts) {
+        if (err) return done(err);
+        expect(counts).to.eql([1, 1, 0, 0]);
+        done();
+      });
+    });
+
+    it('reads snapshots and ops from the mapped collections', function(done) {
+      var db = this.db;
+      commitAndCount(db, this.mongo, [], function(err) {
+        if (err) return done(err);
+        db.getSnapshot('docs', 'doc1', null, null, function(err, snapshot) {
+          if (err) return done(err);
+          expect(snapshot.data).to.eql({x: 1});
+          db.getOps('docs', 'doc1', 0, null, null, function(err, ops) {
+            if (err) return done(err);
+            expect(ops.length).to.equal(1);
+            done();
+          });
+        });
+      });
+    });
+
+    it('rejects names whose snapshot collection could be an op collection', function() {
+      expect(this.db.validateCollectionName('docs_ops').code).to.equal(4102);
+      expect(this.db.validateCollectionName('o_docs')).to.equal(undefined);
+    });
+  });
+
+  describe('with functions', function() {
+    setup({
+      opCollectionName: function(collectionName) {
+        return collectionName + '.ops';
+      }
+    });
+
+    it('stores ops in the mapped collection', function(done) {
+      commitAndCount(this.db, this.mongo, ['docs', 'docs.ops'], function(err, counts) {
+        if (err) return done(err);
+        expect(counts).to.eql([1, 1]);
+        done();
+      });
+    });
+
+    it('still rejects the system collection name', function() {
+      expect(this.db.validateCollectionName('system').code).to.equal(4102);
+      expect(this.db.validateCollectionName('o_docs')).to.equal(undefined);
+    });
+  });
+
+  it('throws for an invalid mapping', function() {
+    this.db = new ShareDbMongo(mongoUrl);
+    expect(function() {
+      new ShareDbMongo(mongoUrl, {opCollectionName: 'o_'});
+    }).to.throw();
+  });
+});
@@ -0,0 +1,240 @@
+var expect = require('chai').expect;
+var ShareDbMongo = require('..');
+
+var mongoUrl = process.env.TEST_MONGO_URL || 'mongodb://localhost:27017/test';
+
+function create(callback) {
+  var db = new ShareDbMongo(mongoUrl);
+  db.getDbs(function(err, mongo) {
+    if (err) return callback(err);
+    mongo.dropDatabase()
+      .then(function() {
+        callback(null, db, mongo);
+      })
+      .catch(callback);
+  });
+};
+
+describe('compactOps', function() {
+  var collection = 'testcollection';
+  // Ops 1 to 3 are older than the cutoff of 5000
+  var ops = [
+    {v: 0, create: {type: 'json0', data: {x: 0}}, m: {ts: 1000}},
+    {v: 1, op: [{p: ['x'], na: 1}], m: {ts: 2000}},
+    {v: 2, op: [{p: ['x'], na: 2}], m: {ts: 3000}},
+    {v: 3, op: [{p: ['y'], oi: 'a'}], m: {ts: 4000}},
+    {v: 4, op: [{p: ['x'], na: 3}], m: {ts: 6000}}
+  ];
+
+  beforeEach(function(done) {
+    var self = this;
+    create(function(err, db, mongo) {
+      if (err) return done(err);
+      self.db = db;
+      self.mongo = mongo;
+      commitOps(db, mongo, collection, 'doc1', ops, done);
+    });
+  });
+
+  afterEach(function(done) {
+    this.db.close(done);
+  });
+
+  function compact(db, callback) {
+    db.compactOps(collection, {olderThan: 5000}, callback);
+  }
+
+  it('requires the olderThan option', function(done) {
+    this.db.compactOps(collection, {}, function(err) {
+      expect(err.code).to.equal(4113);
+      done();
+    });
+  });
+
+  it('requires the olderThan option without options', function(done) {
+    this.db.compactOps(collection, function(err) {
+      expect(err.code).to.equal(4113);
+      done();
+    });
+  });
+
+  it('composes runs of old edit ops', function(done) {
+    var mongo = this.mongo;
+    compact(this.db, function(err, result) {
+      if (err) return done(err);
+      expect(result).to.eql({docs: 1, runs: 1, removed: 2, skipped: 0});
+      mongo.collection('o_' + collection).find({}).sort({v: 1}).toArray().then(function(ops) {
+        expect(ops.length).to.equal(3);
+        expect(ops[1]).to.include({v: 3, cv: 1});
+        expect(ops[1].op).to.eql([{p: ['x'], na: 3}, {p: ['y'], oi: 'a'}]);
+        done();
+      }, done);
+    });
+  });
+
+  it('returns compacted ops as a composed op followed by no-ops', function(done) {
+    var db = this.db;
+    compact(db, function(err) {
+      if (err) return done(err);
+      db.getOps(collection, 'doc1', 0, null, null, function(err, ops) {
+        if (err) return done(err);
+        expect(ops).to.eql([
+          {v: 0, create: {type: 'json0', data: {x: 0}}},
+          {v: 1, op: [{p: ['x'], na: 3}, {p: ['y'], oi: 'a'}]},
+          {v: 2},
+          {v: 3},
+          {v: 4, op: [{p: ['x'], na: 3}]}
+        ]);
+        done();
+      });
+    });
+  });
+
+  it('returns ops after a compacted run', function(done) {
+    var db = this.db;
+    compact(db, function(err) {
+      if (err) return done(err);
+      db.getOps(collection, 'doc1', 4, null, null, function(err, ops) {
+        if (err) return done(err);
+        expect(ops).to.eql([{v: 4, op: [{p: ['x'], na: 3}]}]);
+        done();
+      });
+    });
+  });
+
+  it('errors when fetching ops from inside a compacted run', function(done) {
+    var db = this.db;
+    compact(db, function(err) {
+      if (err) return done(err);
+      db.getOps(collection, 'doc1', 2, null, null, function(err) {
+        expect(err.code).to.equal(5106);
+        done();
+      });
+    });
+  });
+
+  it('errors when fetching ops to inside a compacted run', function(done) {
+    var db = this.db;
+    compact(db, function(err) {
+      if (err) return done(err);
+      db.getOps(collection, 'doc1', 0, 3, null, function(err) {
+        expect(err.code).to.equal(5106);
+        done();
+      });
+    });
+  });
+
+  it('errors when fetching bulk ops from inside a compacted run', function(done) {
+    var db = this.db;
+    compact(db, function(err) {
+      if (err) return done(err);
+      db.getOpsBulk(collection, {doc1: 3}, null, null, function(err) {
+        expect(err.code).to.equal(5106);
+        done();
+      });
+    });
+  });
+
+  it('keeps the snapshot valid for further commits', function(done) {
+    var db = this.db;
+    compact(db, function(err) {
+      if (err) return done(err);
+      db.getSnapshot(collection, 'doc1', {$submit: true}, null, function(err, snapshot) {
+        if (err) return done(err);
+        var op = {v: 5, op: [{p: ['x'], na: 1}]};
+        snapshot.v = 6;
+        snapshot.data = {x: 7, y: 'a'};
+        db.commit(collection, 'doc1', op, snapshot, null, function(err, succeeded) {
+          if (err) return done(err);
+          expect(succeeded).to.equal(true);
+          db.getOps(collection, 'doc1', 4, null, null, function(err, ops) {
+            if (err) return done(err);
+            expect(ops.length).to.equal(2);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('leaves op chains that pass verify', function(done) {
+    var db = this.db;
+    compact(db, function(err) {
+      if (err) return done(err);
+      var reports = [];
+      db.verify(collection)
+        .on('data', function(report) {
+          reports.push(report);
+        })
+        .on('error', done)
+        .on('end', function() {
+          expect(reports).to.eql([]);
+          done();
+        });
+    });
+  });
+
+  it('keeps the src and seq of the last op of a run', function(done) {
+    var db = this.db;
+    var editOps = [
+      {v: 0, create: {type: 'json0', data: {x: 0}}, m: {ts: 1000}},
+      {v: 1, op: [{p: ['x'], na: 1}], src: 'a', seq: 1, m: {ts: 2000}},
+      {v: 2, op: [{p: ['x'], na: 2}], src: 'a', seq: 2, m: {ts: 3000}}
+    ];
+    commitOps(db, this.mongo, collection, 'doc2', editOps, function(err) {
+      if (err) return done(err);
+      compact(db, function(err) {
+        if (err) return done(err);
+        db.getOps(collection, 'doc2', 1, null, null, function(err, ops) {
+          if (err) return done(err);
+          expect(ops).to.eql([{v: 1, op: [{p: ['x'], na: 3}]}, {v: 2, src: 'a', seq: 2}]);
+          db.getSnapshot(collection, 'doc2', {$submit: true}, null, function(err, snapshot) {
+            if (err) return done(err);
+            db.getCommittedOpVersion(collection, 'doc2', snapshot, editOps[2], null, function(err, version) {
+              if (err) return done(err);
+              expect(version).to.equal(2);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('can compact a compacted run further', function(done) {
+    var db = this.db;
+    var mongo = this.mongo;
+    compact(db, function(err) {
+      if (err) return done(err);
+      db.compactOps(collection, {olderThan: 7000}, function(err, result) {
+        if (err) return done(err);
+        expect(result.removed).to.equal(1);
+        mongo.collection('o_' + collection).find({}).sort({v: 1}).toArray().then(function(ops) {
+          expect(ops.length).to.equal(2);
+          expect(ops[1]).to.include({v: 4, cv: 1});
+          done();
+        }, done);
+      });
+    });
+  });
+});
+
+function commitOps(db, mongo, collection, id, ops, callback) {
+  var opLink = null;
+  var data = {};
+  function next(i) {
+    if (i === ops.length) return callback();
+    var op = ops[i];
+    data = (op.create) ? op.create.data : data;
+    var snapshot = {id: id, v: i + 1, type: 'json0', data: data, m: null, _opLink: opLink};
+    db.commit(collection, id, Object.assign({}, op), snapshot, null, function(err) {
+      if (err) return callback(err);
+      mongo.collection('o_' + collection).find({d: id, v: op.v}).next()
+        .then(function(op) {
+          opLink = op._id;
+          next(i + 1);
+        }, callback);
+    });
+  }
+  next(0);
+}
@@ -0,0 +1,216 @@
+var expect = require('chai').expect;
+var sinon = require('sinon');
+var ShareDbMongo = require('..');
+
+var mongoUrl = process.env.TEST_MONGO_URL || 'mongodb://localhost:27017/test';
+
+describe('connection retries', function() {
+  var connect = ShareDbMongo.prototype._connect;
+
+  afterEach(function(done) {
+    sinon.restore();
+    // Closing passes on the error of a connection that failed for good
+    this.db.close(function() {
+      done();
+    });
+  });
+
+  function failConnecting(times) {
+    var calls = 0;
+    sinon.stub(ShareDbMongo.prototype, '_connect').callsFake(function() {
+      if (calls++ < times) return Promise.reject(new Error('Connection refused'));
+      return connect.apply(this, arguments);
+    });
+  }
+
+  it('retries with exponential backoff until connected', function(done) {
+    failConnecting(2);
+    var db = this.db = new ShareDbMongo(mongoUrl, {connectRetries: Infinity, connectRetryDelay: 1});
+    var delays = [];
+    db.on('connectFailed', function(err, delay) {
+      expect(err.message).to.equal('Connection refused');
+      delays.push(delay);
+    });
+    db.on('connected', function() {
+      expect(delays).to.eql([1, 2]);
+      db.getDbs(function(err, mongo) {
+        if (err) return done(err);
+        expect(mongo).to.be.ok;
+        done();
+      });
+    });
+  });
+
+  it('caps the delay at connectRetryMaxDelay', function(done) {
+    failConnecting(3);
+    var db = this.db = new ShareDbMongo(mongoUrl, {
+      connectRetries: Infinity,
+      connectRetryDelay: 1,
+      connectRetryMaxDelay: 2
+    });
+    var delays = [];
+    db.on('connectFailed', function(err, delay) {
+      delays.push(delay);
+    });
+    db.on('connected', function() {
+      expect(delays).to.eql([1, 2, 2]);
+      done();
+    });
+  });
+
+  it('gives up after connectRetries', function(done) {
+    failConnecting(Infinity);
+    var db = this.db = new ShareDbMongo(mongoUrl, {connectRetries: 1, connectRetryDelay: 1});
+    var delays = [];
+    db.on('connectFailed', function(err, delay) {
+      delays.push(delay);
+      if (delay != null) return;
+      expect(delays).to.eql([1, null]);
+      done();
+    });
+  });
+
+  it('calls back with the error of a failed attempt', function(done) {
+    failConnecting(1);
+    var db = this.db = new ShareDbMongo(mongoUrl, {connectRetryDelay: 1});
+    db.getDbs(function(err) {
+      expect(err.message).to.equal('Connection refused');
+      done();
+    });
+  });
+
+  it('does not retry by default', function(done) {
+    failConnecting(Infinity);
+    var db = this.db = new ShareDbMongo(mongoUrl);
+    db.on('connectFailed', function(err, delay) {
+      expect(delay).to.equal(null);
+      db.getDbs(function(err) {
+        expect(err.message).to.equal('Connection refused');
+        done();
+      });
+    });
+  });
+
+  it('does not keep the process running while waiting to retry', function(done) {
+    failConnecting(Infinity);
+    var db = this.db = new ShareDbMongo(mongoUrl, {connectRetries: 1});
+    db.on('connectFailed', function() {
+      expect(db._connectRetryTimeout.hasRef()).to.equal(false);
+      done();
+    });
+  });
+
+  it('passes the connection error to close without a retry', function(done) {
+    failConnecting(Infinity);
+    var db = this.db = new ShareDbMongo(mongoUrl);
+    db.close(function(err) {
+      expect(err.message).to.equal('Connection refused');
+      done();
+    });
+  });
+
+  it('stops retrying when closed', function(done) {
+    failConnecting(Infinity);
+    var db = this.db = new ShareDbMongo(mongoUrl, {connectRetries: Infinity, connectRetryDelay: 1});
+    var failures = 0;
+    db.on('connectFailed', function() {
+      failures++;
+    });
+    db.close(function(err) {
+      if (err) return done(err);
+      setTimeout(function() {
+        expect(failures).to.equal(1);
+        done();
+      }, 10);
+    });
+  });
+});
+
+describe('connection events', function() {
+  beforeEach(function(done) {
+    var db = this.db = new ShareDbMongo(mongoUrl);
+    db.getDbs(done);
+  });
+
+  afterEach(function(done) {
+    this.db.close(done);
+  });
+
+  function changeTopology(client, type) {
+    var servers = new Map([['localhost:27017', {type: type}]]);
+    client.emit('topologyDescriptionChanged', {newDescription: {servers: servers}});
+  }
+
+  it('emits disconnected and reconnected', function() {
+    var db = this.db;
+    var events = [];
+    db.on('disconnected', function(name) {
+      events.push('disconnected ' + name);
+    });
+    db.on('reconnected', function(name) {
+      events.push('reconnected ' + name);
+    });
+    changeTopology(db._mongoClient, 'Unknown');
+    changeTopology(db._mongoClient, 'Unknown');
+    changeTopology(db._mongoClient, 'Standalone');
+    expect(events).to.eql(['disconnected mongo', 'reconnected mongo']);
+  });
+});
+
+describe('health', function() {
+  afterEach(function(done) {
+    sinon.restore();
+    // Closing passes on the error of a connection that failed for good
+    this.db.close(function() {
+      done();
+    });
+  });
+
+  it('reports the mongo and mongoPoll pings', function(done) {
+    var db = this.db = new ShareDbMongo({mongo: mongoUrl, mongoPoll: mongoUrl});
+    db.health(function(err, report) {
+      if (err) return done(err);
+      expect(report.ok).to.equal(true);
+      expect(report.mongo.ok).to.equal(true);
+      expect(report.mongo.duration).to.be.a('number');
+      expect(report.mongoPoll.ok).to.equal(true);
+      done();
+    });
+  });
+
+  it('leaves out mongoPoll without a mongoPoll connection', function(done) {
+    var db = this.db = new ShareDbMongo(mongoUrl);
+    db.health(function(err, report) {
+      if (err) return done(err);
+      expect(report.ok).to.equal(true);
+      expect(report).not.to.have.property('mongoPoll');
+      done();
+    });
+  });
+
+  it('reports a ping that times out', function(done) {
+    var db = this.db = new ShareDbMongo(mongoUrl);
+    db.getDbs(function(err, mongo) {
+      if (err) return done(err);
+      sinon.stub(mongo, 'command').returns(new Promise(function() {}));
+      db.health({timeout: 1}, function(err, report) {
+        if (err) return done(err);
+        expect(report.ok).to.equal(false);
+        expect(report.mongo.ok).to.equal(false);
+        expect(report.mongo.error).to.match(/timed out/);
+        done();
+      });
+    });
+  });
+
+  it('reports a failed connection', function(done) {
+    sinon.stub(ShareDbMongo.prototype, '_connect').rejects(new Error('Connection refused'));
+    var db = this.db = new ShareDbMongo(mongoUrl, {connectRetries: 0});
+    db.health(function(err, report) {
+      if (err) return done(err);
+      expect(report.ok).to.equal(false);
+      expect(report.mongo.error).to.equal('Connection refused');
+      done();
+    });
+  });
+});
@@ -0,0 +1,129 @@
+var expect = require('chai').expect;
+var ShareDbMongo = require('..');
+
+var mongoUrl = process.env.TEST_MONGO_URL || 'mongodb://localhost:27017/test';
+
+function createDb(callback) {
+  var db = new ShareDbMongo(mongoUrl);
+  db.getDbs(function(err, mongo) {
+    if (err) return callback(err);
+    mongo.dropDatabase()
+      .then(function() {
+        callback(null, db, mongo);
+      })
+      .catch(callback);
+  });
+}
+
+describe('milestone db', function() {
+  var dbs = [];
+
+  afterEach(function(done) {
+    var closing = dbs;
+    dbs = [];
+    var count = closing.length;
+    if (!count) return done();
+    closing.forEach(function(db) {
+      db.close(function() {
+        if (--count === 0) done();
+      });
+    });
+  });
+
+  require('sharedb/test/milestone-db')({
+    create: function(options, callback) {
+      if (typeof options === 'function') {
+        callback = options;
+        options = null;
+      }
+      createDb(function(err, db) {
+        if (err) return callback(err);
+        dbs.push(db);
+        callback(null, new ShareDbMongo.MilestoneDB(db, options));
+      });
+    }
+  });
+
+  describe('storage', function() {
+    beforeEach(function(done) {
+      var self = this;
+      createDb(function(err, db, mongo) {
+        if (err) return done(err);
+        dbs.push(db);
+        self.db = db;
+        self.mongo = mongo;
+        done();
+      });
+    });
+
+    it('stores milestones in the milestone collection', function(done) {
+      var mongo = this.mongo;
+      var milestoneDb = new ShareDbMongo.MilestoneDB(this.db);
+      var snapshot = {id: 'test1', v: 2, type: 'json0', data: {x: 1}, m: {mtime: 1000}};
+      milestoneDb.saveMilestoneSnapshot('testcollection', snapshot, function(err) {
+        if (err) return done(err);
+        mongo.collection('m_testcollection').find({d: 'test1'}).project({_id: 0}).toArray()
+          .then(function(docs) {
+            expect(docs).to.eql([{d: 'test1', v: 2, type: 'json0', data: {x: 1}, m: {mtime: 1000}}]);
+            done();
+          }, done);
+      });
+    });
+
+    describe('with a time interval', function() {
+      beforeEach(function() {
+        this.milestoneDb = new ShareDbMongo.MilestoneDB(this.db, {interval: 10, timeInterval: 1000});
+      });
+
+      it('is offered every snapshot by ShareDB', function() {
+        expect(this.milestoneDb.interval).to.equal(1);
+      });
+
+      it('skips snapshots close in time to the last milestone', function(done) {
+        var milestoneDb = this.milestoneDb;
+        var mongo = this.mongo;
+        var snapshots = [
+          {id: 'test1', v: 1, type: 'json0', data: {}, m: {mtime: 1000}},
+          {id: 'test1', v: 2, type: 'json0', data: {}, m: {mtime: 1500}},
+          {id: 'test1', v: 3, type: 'json0', data: {}, m: {mtime: 2000}}
+        ];
+        saveAll(milestoneDb, snapshots, function(err) {
+          if (err) return done(err);
+          expectVersions(mongo, [1, 3], done);
+        });
+      });
+
+      it('saves snapshots at the version interval', function(done) {
+        var milestoneDb = this.milestoneDb;
+        var mongo = this.mongo;
+        var snapshots = [
+          {id: 'test1', v: 9, type: 'json0', data: {}, m: {mtime: 1000}},
+          {id: 'test1', v: 10, type: 'json0', data: {}, m: {mtime: 1001}},
+          {id: 'test1', v: 11, type: 'json0', data: {}, m: {mtime: 1002}}
+        ];
+        saveAll(milestoneDb, snapshots, function(err) {
+          if (err) return done(err);
+          expectVersions(mongo, [9, 10], done);
+        });
+      });
+    });
+  });
+});
+
+function saveAll(milestoneDb, snapshots, callback) {
+  if (!snapshots.length) return callback();
+  milestoneDb.saveMilestoneSnapshot('testcollection', snapshots[0], function(err) {
+    if (err) return callback(err);
+    saveAll(milestoneDb, snapshots.slice(1), callback);
+  });
+}
+
+function expectVersions(mongo, versions, callback) {
+  mongo.collection('m_testcollection').find({d: 'test1'}).sort({v: 1}).toArray()
+    .then(function(docs) {
+      expect(docs.map(function(doc) {
+        return doc.v;
+      })).to.eql(versions);
+      callback();
+    }, callback);
+}
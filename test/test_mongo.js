@@ -292,6 +292,55 @@ describe('mongo db', function() {
       };
     });
 
+    describe('queryPollDocBulk', function() {
+      var snapshot = {type: 'json0', v: 1, data: {x: 1}, id: 'test'};
+
+      beforeEach(function(done) {
+        this.db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, done);
+      });
+
+      it('checks the doc against each query', function(done) {
+        var queries = [
+          {x: 1},
+          {x: 2},
+          {_id: 'test', x: {$gt: 0}},
+          {_id: {$in: ['nottest']}},
+          {_id: /test/, $sort: {x: 1}}
+        ];
+        this.db.queryPollDocBulk('testcollection', 'test', queries, null, function(err, matches) {
+          if (err) return done(err);
+          expect(matches).eql([true, false, true, false, true]);
+          done();
+        });
+      });
+
+      it('checks queries that $match does not support separately', function(done) {
+        this.db.allowJSQueries = true;
+        var queries = [{$where: 'this.x === 1'}, {x: 2}, {$where: 'this.x === 2'}];
+        this.db.queryPollDocBulk('testcollection', 'test', queries, null, function(err, matches) {
+          if (err) return done(err);
+          expect(matches).eql([true, false, false]);
+          done();
+        });
+      });
+
+      it('calls back with an empty array without queries', function(done) {
+        this.db.queryPollDocBulk('testcollection', 'test', [], null, function(err, matches) {
+          if (err) return done(err);
+          expect(matches).eql([]);
+          done();
+        });
+      });
+
+      it('calls back with the error of an invalid query', function(done) {
+        var queries = [{x: 1}, {$where: 'true'}];
+        this.db.queryPollDocBulk('testcollection', 'test', queries, null, function(err) {
+          expect(err.code).eql(4103);
+          done();
+        });
+      });
+    });
+
     it('$distinct should perform distinct operation', function(done) {
       var snapshots = [
         {type: 'json0', v: 1, data: {x: 1, y: 1}},
@@ -355,6 +404,60 @@ describe('mongo db', function() {
       });
     });
 
+    describe('restricting $aggregate stages', function() {
+      beforeEach(function() {
+        this.db.allowAggregateQueries = true;
+      });
+
+      function checkPipeline(db, pipeline) {
+        return db.checkQuery({$aggregate: pipeline});
+      }
+
+      it('rejects stages that are not allowed', function() {
+        this.db.allowedAggregateStages = ['$match', '$group', '$facet'];
+        expect(checkPipeline(this.db, [{$match: {x: 1}}, {$group: {_id: '$y'}}])).equal(undefined);
+        var err = checkPipeline(this.db, [{$match: {x: 1}}, {$out: 'other'}]);
+        expect(err.code).eql(4112);
+        expect(err.message).eql('$aggregate stage disabled: $out');
+        err = checkPipeline(this.db, [{$facet: {a: [{$match: {x: 1}}], b: [{$merge: 'other'}]}}]);
+        expect(err.code).eql(4112);
+      });
+
+      it('rejects disallowed stages', function() {
+        this.db.disallowedAggregateStages = ['$out', '$merge'];
+        expect(checkPipeline(this.db, [{$sort: {x: 1}}])).equal(undefined);
+        expect(checkPipeline(this.db, [{$merge: {into: 'other'}}]).code).eql(4112);
+        var lookup = {$lookup: {from: 'other', as: 'others', pipeline: [{$out: 'other'}]}};
+        expect(checkPipeline(this.db, [lookup]).code).eql(4112);
+      });
+
+      it('rejects lookups from collections that are not allowed', function() {
+        this.db.allowedLookupCollections = ['users'];
+        var lookup = {from: 'users', localField: 'owner', foreignField: '_id', as: 'owners'};
+        expect(checkPipeline(this.db, [{$lookup: lookup}])).equal(undefined);
+        expect(checkPipeline(this.db, [{$unionWith: {coll: 'users'}}])).equal(undefined);
+
+        lookup = {from: 'o_users', localField: '_id', foreignField: 'd', as: 'ops'};
+        var err = checkPipeline(this.db, [{$lookup: lookup}]);
+        expect(err.code).eql(4112);
+        expect(err.message).eql('$aggregate stage disabled: $lookup from o_users');
+        expect(checkPipeline(this.db, [{$unionWith: 'secrets'}]).code).eql(4112);
+        var graphLookup = {from: 'secrets', startWith: '$x', connectFromField: 'x', connectToField: 'y', as: 'z'};
+        expect(checkPipeline(this.db, [{$graphLookup: graphLookup}]).code).eql(4112);
+        var nested = {$facet: {a: [{$unionWith: {coll: 'users', pipeline: [{$unionWith: 'secrets'}]}}]}};
+        expect(checkPipeline(this.db, [nested]).code).eql(4112);
+      });
+
+      it('rejects queries with disallowed stages', function(done) {
+        this.db.allowedAggregateStages = ['$match', '$group'];
+        var query = {$aggregate: [{$group: {_id: '$y'}}, {$out: 'other'}]};
+        this.db.query('testcollection', query, null, null, function(err) {
+          expect(err.code).eql(4112);
+          done();
+        });
+      });
+    });
+
     it('does not allow $mapReduce queries by default', function(done) {
       var snapshots = [
         {type: 'json0', v: 1, data: {player: 'a', round: 1, score: 5}},
@@ -546,6 +649,79 @@ describe('mongo db connection', function() {
   });
 });
 
+describe('mongo db causal consistency', function() {
+  beforeEach(function(done) {
+    this.db = new ShareDbMongo({mongo: mongoUrl, mongoPoll: mongoUrl, causalConsistency: true});
+    this.db.getDbs(function(err, mongo) {
+      if (err) return done(err);
+      mongo.dropDatabase()
+        .then(function() {
+          done();
+        })
+        .catch(done);
+    });
+  });
+
+  afterEach(function(done) {
+    this.db.close(done);
+  });
+
+  it('does not delay polls by default', function() {
+    expect(this.db.pollDelay).equal(0);
+  });
+
+  it('polls see a preceding commit', function(done) {
+    var db = this.db;
+    var snapshot = {type: 'json0', v: 1, data: {x: 1}, id: 'test'};
+    db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+      if (err) return done(err);
+      db.queryPoll('testcollection', {x: 1}, null, function(err, ids) {
+        if (err) return done(err);
+        expect(ids).eql(['test']);
+        db.queryPollDoc('testcollection', 'test', {x: 1}, null, function(err, hasDoc) {
+          if (err) return done(err);
+          expect(hasDoc).equal(true);
+          done();
+        });
+      });
+    });
+  });
+
+  it('starts poll sessions after the latest commit', function(done) {
+    var db = this.db;
+    var snapshot = {type: 'json0', v: 1, data: {x: 1}, id: 'test'};
+    db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+      if (err) return done(err);
+      // Standalone servers don't report operation times, so there is
+      // nothing to be causally consistent with
+      if (!db._lastOperationTime) return done();
+      var session = db._startPollSession();
+      expect(session.operationTime.equals(db._lastOperationTime)).equal(true);
+      session.endSession();
+      done();
+    });
+  });
+
+  it('does not start commit sessions without a separate polling db', function(done) {
+    var db = new ShareDbMongo({mongo: mongoUrl, causalConsistency: true});
+    db.getDbs(function(err) {
+      if (err) return done(err);
+      var startSession = db._mongoClient.startSession;
+      var sessions = 0;
+      db._mongoClient.startSession = function() {
+        sessions++;
+        return startSession.apply(this, arguments);
+      };
+      var snapshot = {type: 'json0', v: 1, data: {x: 1}, id: 'test'};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+        if (err) return done(err);
+        expect(sessions).equal(0);
+        db.close(done);
+      });
+    });
+  });
+});
+
 describe('parse query', function() {
   var parseQuery = ShareDbMongo._parseQuery;
   var makeQuerySafe = ShareDbMongo._makeQuerySafe;
@@ -6,11 +6,20 @@ var expect = chai.expect;
 var ShareDbMongo = require('..');
 var mongodb = require('./../mongodb');
 var Collection = mongodb.Collection;
+var logger = require('sharedb/lib/logger');
 
 var mongoUrl = process.env.TEST_MONGO_URL || 'mongodb://localhost:27017/test';
 var BEFORE_EDIT = ShareDbMongo.MiddlewareActions.beforeOverwrite;
 var BEFORE_CREATE = ShareDbMongo.MiddlewareActions.beforeCreate;
 var BEFORE_SNAPSHOT_LOOKUP = ShareDbMongo.MiddlewareActions.beforeSnapshotLookup;
+var BEFORE_OP_INSERT = ShareDbMongo.MiddlewareActions.beforeOpInsert;
+var BEFORE_OP_DELETE = ShareDbMongo.MiddlewareActions.beforeOpDelete;
+var BEFORE_OPS_LOOKUP = ShareDbMongo.MiddlewareActions.beforeOpsLookup;
+var AFTER_CREATE = ShareDbMongo.MiddlewareActions.afterCreate;
+var AFTER_OVERWRITE = ShareDbMongo.MiddlewareActions.afterOverwrite;
+var AFTER_COMMIT = ShareDbMongo.MiddlewareActions.afterCommit;
+var BEFORE_QUERY = ShareDbMongo.MiddlewareActions.beforeQuery;
+var AFTER_QUERY = ShareDbMongo.MiddlewareActions.afterQuery;
 
 function create(callback) {
   var db = new ShareDbMongo(mongoUrl);
@@ -69,6 +78,202 @@ describe('mongo db middleware', function() {
     });
   });
 
+  describe('async middleware', function() {
+    it('waits for a returned Promise', function(done) {
+      db.use(BEFORE_CREATE, function(request) {
+        return new Promise(function(resolve) {
+          setTimeout(function() {
+            request.documentToWrite.foo = 'fuzz';
+            resolve();
+          }, 10);
+        });
+      });
+
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+        if (err) return done(err);
+        expectDocumentToContainFoo('fuzz', done);
+      });
+    });
+
+    it('returns the error of a rejected Promise', function(done) {
+      db.use(BEFORE_CREATE, function() {
+        return Promise.reject(new Error('Oh no!'));
+      });
+
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+        expect(err.message).to.equal('Oh no!');
+        expectDocumentNotToExist(done);
+      });
+    });
+
+    it('continues only once when a middleware calls next and returns a Promise', function(done) {
+      var middlewareSpy = sinon.spy(function(_, next) {
+        next();
+      });
+      db.use(BEFORE_CREATE, function(_, next) {
+        next();
+        return Promise.resolve();
+      });
+      db.use(BEFORE_CREATE, middlewareSpy);
+
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+        if (err) return done(err);
+        expect(middlewareSpy).to.have.been.calledOnce;
+        done();
+      });
+    });
+
+    it('returns a timeout error when a middleware hangs', function(done) {
+      db.use(BEFORE_CREATE, {timeout: 10}, function() {});
+
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+        expect(err.code).to.equal(5108);
+        expectDocumentNotToExist(done);
+      });
+    });
+
+    it('does not time out a middleware that completes in time', function(done) {
+      db.use(BEFORE_CREATE, {timeout: 1000}, function(_, next) {
+        setTimeout(next, 10);
+      });
+
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, done);
+    });
+  });
+
+  describe('collections option', function() {
+    function commitToCollections(collections, callback) {
+      async.eachSeries(collections, function(collection, cb) {
+        var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+        db.commit(collection, snapshot.id, {v: 0, create: {}}, snapshot, null, cb);
+      }, callback);
+    }
+
+    it('only triggers middleware for the listed collections', function(done) {
+      var collectionNames = [];
+      db.use(BEFORE_CREATE, {collections: ['docs', 'other']}, function(request, next) {
+        collectionNames.push(request.collectionName);
+        next();
+      });
+
+      commitToCollections(['docs', 'testcollection', 'other'], function(err) {
+        if (err) return done(err);
+        expect(collectionNames).to.eql(['docs', 'other']);
+        done();
+      });
+    });
+
+    it('only triggers middleware for collections matching a predicate', function(done) {
+      var predicate = sinon.spy(function(collectionName) {
+        return collectionName !== 'testcollection';
+      });
+      var collectionNames = [];
+      db.use(BEFORE_CREATE, {collections: predicate}, function(request, next) {
+        collectionNames.push(request.collectionName);
+        next();
+      });
+
+      commitToCollections(['docs', 'testcollection', 'docs'], function(err) {
+        if (err) return done(err);
+        expect(collectionNames).to.eql(['docs', 'docs']);
+        expect(predicate).to.have.been.calledTwice;
+        done();
+      });
+    });
+
+    it('keeps the order of scoped and unscoped middleware', function(done) {
+      var calls = [];
+      db.use(BEFORE_CREATE, function(_, next) {
+        calls.push(1);
+        next();
+      });
+      db.use(BEFORE_CREATE, {collections: ['testcollection']}, function(_, next) {
+        calls.push(2);
+        next();
+      });
+      db.use(BEFORE_CREATE, function(_, next) {
+        calls.push(3);
+        next();
+      });
+
+      commitToCollections(['testcollection'], function(err) {
+        if (err) return done(err);
+        expect(calls).to.eql([1, 2, 3]);
+        done();
+      });
+    });
+
+    it('applies middleware added after a collection was first used', function(done) {
+      var middlewareSpy = sinon.spy(function(_, next) {
+        next();
+      });
+      db.getSnapshot('testcollection', 'test1', null, null, function(err) {
+        if (err) return done(err);
+        db.use(BEFORE_SNAPSHOT_LOOKUP, {collections: ['testcollection']}, middlewareSpy);
+        db.getSnapshot('testcollection', 'test1', null, null, function(err) {
+          if (err) return done(err);
+          expect(middlewareSpy).to.have.been.calledOnce;
+          done();
+        });
+      });
+    });
+
+    it('throws error on invalid collections', function() {
+      function invalidCollections() {
+        db.use(BEFORE_CREATE, {collections: 'docs'}, function(_, next) {
+          next();
+        });
+      }
+      expect(invalidCollections).to.throw();
+    });
+  });
+
+  describe('unuse', function() {
+    it('removes a middleware', function(done) {
+      var middlewareSpy = sinon.spy(function(_, next) {
+        next();
+      });
+      db.use([BEFORE_CREATE, BEFORE_SNAPSHOT_LOOKUP], middlewareSpy);
+      db.unuse(BEFORE_CREATE, middlewareSpy);
+
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+        if (err) return done(err);
+        expect(middlewareSpy).not.to.have.been.called;
+        db.getSnapshot('testcollection', 'test1', null, null, function(err) {
+          if (err) return done(err);
+          expect(middlewareSpy).to.have.been.calledOnce;
+          done();
+        });
+      });
+    });
+
+    it('keeps the other middleware', function(done) {
+      var removedSpy = sinon.spy(function(_, next) {
+        next();
+      });
+      var keptSpy = sinon.spy(function(_, next) {
+        next();
+      });
+      db.use(BEFORE_CREATE, removedSpy);
+      db.use(BEFORE_CREATE, keptSpy);
+      db.unuse(BEFORE_CREATE, removedSpy);
+
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+        if (err) return done(err);
+        expect(removedSpy).not.to.have.been.called;
+        expect(keptSpy).to.have.been.calledOnce;
+        done();
+      });
+    });
+  });
+
   describe(BEFORE_EDIT, function() {
     it('has the expected properties on the request object', function(done) {
       db.use(BEFORE_EDIT, function(request, next) {
@@ -446,6 +651,518 @@ describe('mongo db middleware', function() {
     });
   });
 
+  describe(BEFORE_OP_INSERT, function() {
+    it('has the expected properties on the request object', function(done) {
+      db.use(BEFORE_OP_INSERT, function(request, next) {
+        expect(request).to.have.all.keys([
+          'action',
+          'collectionName',
+          'documentToWrite',
+          'op',
+          'options'
+        ]);
+        expect(request.action).to.equal(BEFORE_OP_INSERT);
+        expect(request.collectionName).to.equal('testcollection');
+        expect(request.documentToWrite).to.include({d: 'test1', v: 0});
+        expect(request.op.create).to.exist;
+        expect(request.options.testOptions).to.equal('yes');
+        next();
+      });
+
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, {testOptions: 'yes'}, done);
+    });
+
+    it('should augment the written op when commit is called', function(done) {
+      db.use(BEFORE_OP_INSERT, function(request, next) {
+        request.documentToWrite.shard = 'a';
+        next();
+      });
+
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+        if (err) return done(err);
+        db.getDbs(function(err, mongo) {
+          if (err) return done(err);
+          mongo.collection('o_testcollection').findOne({d: 'test1'}).then(function(op) {
+            expect(op.shard).to.equal('a');
+            done();
+          }, done);
+        });
+      });
+    });
+
+    it('returns without writing when there was a middleware error', function(done) {
+      db.use(BEFORE_OP_INSERT, function(_, next) {
+        next(new Error('Oh no!'));
+      });
+
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+        expect(err).to.exist;
+        expectDocumentNotToExist(done);
+      });
+    });
+  });
+
+  describe(BEFORE_OP_DELETE, function() {
+    it('has the expected properties on the request object when a commit fails', function(done) {
+      var middlewareSpy = sinon.spy(function(request, next) {
+        expect(request).to.have.all.keys([
+          'action',
+          'collectionName',
+          'op',
+          'options',
+          'query'
+        ]);
+        expect(request.action).to.equal(BEFORE_OP_DELETE);
+        expect(request.collectionName).to.equal('testcollection');
+        expect(request.query._id).to.exist;
+        expect(request.options.testOptions).to.equal('yes');
+        next();
+      });
+      db.use(BEFORE_OP_DELETE, middlewareSpy);
+
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+        if (err) return done(err);
+        var options = {testOptions: 'yes'};
+        db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, options, function(err, succeeded) {
+          if (err) return done(err);
+          expect(succeeded).to.equal(false);
+          expect(middlewareSpy).to.have.been.calledOnce;
+          db.getDbs(function(err, mongo) {
+            if (err) return done(err);
+            mongo.collection('o_testcollection').countDocuments({d: 'test1'}).then(function(count) {
+              expect(count).to.equal(1);
+              done();
+            }, done);
+          });
+        });
+      });
+    });
+  });
+
+  describe(BEFORE_OPS_LOOKUP, function() {
+    it('has the expected properties on the request object before getting ops', function(done) {
+      var middlewareSpy = sinon.spy(function(request, next) {
+        expect(request).to.have.all.keys([
+          'action',
+          'collectionName',
+          'options',
+          'query'
+        ]);
+        expect(request.action).to.equal(BEFORE_OPS_LOOKUP);
+        expect(request.collectionName).to.equal('testcollection');
+        expect(request.options.testOptions).to.equal('yes');
+        expect(request.query.d).to.equal('test1');
+        next();
+      });
+      db.use(BEFORE_OPS_LOOKUP, middlewareSpy);
+
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+        if (err) return done(err);
+        db.getOps('testcollection', 'test1', 0, 1, {testOptions: 'yes'}, function(err) {
+          if (err) return done(err);
+          expect(middlewareSpy).to.have.been.calledOnce;
+          done();
+        });
+      });
+    });
+
+    it('has the expected properties on the request object before getting ops bulk', function(done) {
+      var middlewareSpy = sinon.spy(function(request, next) {
+        expect(request.action).to.equal(BEFORE_OPS_LOOKUP);
+        expect(request.options.testOptions).to.equal('yes');
+        expect(request.query.$or).to.eql([{d: 'test1', v: {$gte: 0}}]);
+        next();
+      });
+      db.use(BEFORE_OPS_LOOKUP, middlewareSpy);
+
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+        if (err) return done(err);
+        db.getOpsBulk('testcollection', {test1: 0}, null, {testOptions: 'yes'}, function(err) {
+          if (err) return done(err);
+          expect(middlewareSpy).to.have.been.calledOnce;
+          done();
+        });
+      });
+    });
+
+    it('has the op on the request object before looking up a committed op', function(done) {
+      var middlewareSpy = sinon.spy(function(request, next) {
+        if (request.query.src) {
+          expect(request.query).to.eql({src: 'abc', seq: 1});
+          expect(request.op.src).to.equal('abc');
+        }
+        next();
+      });
+      db.use(BEFORE_OPS_LOOKUP, middlewareSpy);
+
+      var op = {v: 0, create: {}, src: 'abc', seq: 1};
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+      db.commit('testcollection', snapshot.id, op, snapshot, null, function(err) {
+        if (err) return done(err);
+        db.getSnapshot('testcollection', 'test1', {$submit: true}, null, function(err, snapshot) {
+          if (err) return done(err);
+          db.getCommittedOpVersion('testcollection', 'test1', snapshot, op, null, function(err, version) {
+            if (err) return done(err);
+            expect(version).to.equal(0);
+            expect(middlewareSpy).to.have.been.calledTwice;
+            done();
+          });
+        });
+      });
+    });
+
+    it('should augment the query when getOps is called', function(done) {
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+        if (err) return done(err);
+        db.getOps('testcollection', 'test1', 0, 1, null, function(err, ops) {
+          if (err) return done(err);
+          expect(ops.length).to.equal(1);
+
+          // Only look up ops from another source
+          db.use(BEFORE_OPS_LOOKUP, function(request, next) {
+            request.query.src = 'other';
+            next();
+          });
+
+          db.getOps('testcollection', 'test1', 0, 1, null, function(err, ops) {
+            if (err) return done(err);
+            expect(ops).to.eql([]);
+            done();
+          });
+        });
+      });
+    });
+
+    it('passes findOptions to the driver', function(done) {
+      db.use(BEFORE_OPS_LOOKUP, function(request, next) {
+        request.findOptions = {maxTimeMS: 1000};
+        next();
+      });
+
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+        if (err) return done(err);
+        db.getOps('testcollection', 'test1', 0, 1, null, function(err) {
+          if (err) return done(err);
+          expect(Collection.prototype.find).to.have.been.calledWith(
+            {d: 'test1', v: {$gte: 0}},
+            {maxTimeMS: 1000}
+          );
+          done();
+        });
+      });
+    });
+  });
+
+  describe(AFTER_CREATE, function() {
+    it('has the expected properties on the request object', function(done) {
+      var middlewareSpy = sinon.spy(function(request, next) {
+        expect(request).to.have.all.keys([
+          'action',
+          'collectionName',
+          'documentToWrite',
+          'op',
+          'opId',
+          'options',
+          'succeeded'
+        ]);
+        expect(request.action).to.equal(AFTER_CREATE);
+        expect(request.collectionName).to.equal('testcollection');
+        expect(request.documentToWrite.foo).to.equal('fuzz');
+        expect(request.op.create).to.exist;
+        expect(request.opId).to.exist;
+        expect(request.options.testOptions).to.equal('yes');
+        expect(request.succeeded).to.equal(true);
+        next();
+      });
+      db.use(BEFORE_CREATE, function(request, next) {
+        request.documentToWrite.foo = 'fuzz';
+        next();
+      });
+      db.use(AFTER_CREATE, middlewareSpy);
+
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, {testOptions: 'yes'}, function(err) {
+        if (err) return done(err);
+        expect(middlewareSpy).to.have.been.calledOnce;
+        done();
+      });
+    });
+
+    it('is not triggered when the commit fails', function(done) {
+      var middlewareSpy = sinon.spy(function(_, next) {
+        next();
+      });
+      db.use(BEFORE_CREATE, function(_, next) {
+        next(new Error('Oh no!'));
+      });
+      db.use(AFTER_CREATE, middlewareSpy);
+
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+        expect(err).to.exist;
+        expect(middlewareSpy).not.to.have.been.called;
+        done();
+      });
+    });
+  });
+
+  describe(AFTER_OVERWRITE, function() {
+    it('has the expected properties on the request object', function(done) {
+      var middlewareSpy = sinon.spy(function(request, next) {
+        expect(request.action).to.equal(AFTER_OVERWRITE);
+        expect(request.documentToWrite.foo).to.equal('baz');
+        expect(request.op.op).to.exist;
+        expect(request.query).to.eql({_id: 'test1', _v: 1});
+        expect(request.succeeded).to.equal(true);
+        next();
+      });
+
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+      var editOp = {v: 1, op: [{p: ['foo'], od: 'bar', oi: 'baz'}]};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+        if (err) return done(err);
+        db.use(AFTER_OVERWRITE, middlewareSpy);
+        db.getSnapshot('testcollection', 'test1', {$submit: true}, null, function(err, snapshot) {
+          if (err) return done(err);
+          snapshot.v = 2;
+          snapshot.data = {foo: 'baz'};
+          db.commit('testcollection', snapshot.id, editOp, snapshot, null, function(err) {
+            if (err) return done(err);
+            expect(middlewareSpy).to.have.been.calledOnce;
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  describe(AFTER_COMMIT, function() {
+    it('is triggered after afterCreate', function(done) {
+      var calls = [];
+      db.use(AFTER_CREATE, function(request, next) {
+        calls.push(request.action);
+        next();
+      });
+      db.use(AFTER_COMMIT, function(request, next) {
+        calls.push(request.action);
+        expect(request.succeeded).to.equal(true);
+        expect(request.documentToWrite._v).to.equal(1);
+        next();
+      });
+
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+        if (err) return done(err);
+        expect(calls).to.eql([AFTER_CREATE, AFTER_COMMIT]);
+        done();
+      });
+    });
+
+    it('reports whether the snapshot was written', function(done) {
+      var results = [];
+      db.use(AFTER_COMMIT, function(request, next) {
+        results.push(request.succeeded);
+        next();
+      });
+
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+        if (err) return done(err);
+        db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err, succeeded) {
+          if (err) return done(err);
+          expect(succeeded).to.equal(false);
+          expect(results).to.eql([true, false]);
+          done();
+        });
+      });
+    });
+
+    it('reports middleware errors without failing the commit', function(done) {
+      var error = new Error('Oh no!');
+      db.onAfterWriteError = sinon.spy();
+      db.use(AFTER_CREATE, function(_, next) {
+        next(error);
+      });
+      db.use(AFTER_COMMIT, function(_, next) {
+        next(error);
+      });
+
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err, succeeded) {
+        if (err) return done(err);
+        expect(succeeded).to.equal(true);
+        expect(db.onAfterWriteError).to.have.been.calledTwice;
+        expect(db.onAfterWriteError).to.have.been.calledWith(error, sinon.match({action: AFTER_CREATE}));
+        expect(db.onAfterWriteError).to.have.been.calledWith(error, sinon.match({action: AFTER_COMMIT}));
+        expectDocumentToContainFoo('bar', done);
+      });
+    });
+
+    it('logs middleware errors with the ShareDB logger by default', function(done) {
+      var error = new Error('Oh no!');
+      var logError = sinon.stub(logger, 'error');
+      db.use(AFTER_COMMIT, function(_, next) {
+        next(error);
+      });
+
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+        logError.restore();
+        if (err) return done(err);
+        expect(logError).to.have.been.calledWith('Error in ' + AFTER_COMMIT + ' middleware for testcollection:', error);
+        done();
+      });
+    });
+  });
+
+  describe(BEFORE_QUERY, function() {
+    beforeEach(function(done) {
+      var snapshots = [
+        {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar', tenant: 'a'}},
+        {type: 'json0', id: 'test2', v: 1, data: {foo: 'bar', tenant: 'b'}}
+      ];
+      async.each(snapshots, function(snapshot, cb) {
+        db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, cb);
+      }, done);
+    });
+
+    it('has the expected properties on the request object', function(done) {
+      var middlewareSpy = sinon.spy(function(request, next) {
+        expect(request).to.have.all.keys([
+          'action',
+          'collectionName',
+          'findOptions',
+          'options',
+          'parsedQuery'
+        ]);
+        expect(request.action).to.equal(BEFORE_QUERY);
+        expect(request.collectionName).to.equal('testcollection');
+        expect(request.options.testOptions).to.equal('yes');
+        expect(request.parsedQuery.query).to.eql({foo: 'bar'});
+        expect(request.parsedQuery.cursorTransforms).to.eql({$sort: {_id: 1}});
+        next();
+      });
+      db.use(BEFORE_QUERY, middlewareSpy);
+
+      db.query('testcollection', {foo: 'bar', $sort: {_id: 1}}, null, {testOptions: 'yes'}, function(err) {
+        if (err) return done(err);
+        expect(middlewareSpy).to.have.been.calledOnce;
+        done();
+      });
+    });
+
+    it('can add a filter to query, queryPoll, queryPollDoc and queryPollDocBulk', function(done) {
+      db.use(BEFORE_QUERY, function(request, next) {
+        request.parsedQuery.query.tenant = 'a';
+        next();
+      });
+
+      db.query('testcollection', {foo: 'bar'}, null, null, function(err, results) {
+        if (err) return done(err);
+        expect(results.map(function(snapshot) {
+          return snapshot.id;
+        })).to.eql(['test1']);
+        db.queryPoll('testcollection', {foo: 'bar'}, null, function(err, ids) {
+          if (err) return done(err);
+          expect(ids).to.eql(['test1']);
+          db.queryPollDoc('testcollection', 'test2', {foo: 'bar'}, null, function(err, result) {
+            if (err) return done(err);
+            expect(result).to.equal(false);
+            db.queryPollDocBulk('testcollection', 'test2', [{foo: 'bar'}, {}], null, function(err, results) {
+              if (err) return done(err);
+              expect(results).to.eql([false, false]);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('keeps the findOptions of each query of queryPollDocBulk apart', function(done) {
+      sandbox.spy(Collection.prototype, 'aggregate');
+      db.use(BEFORE_QUERY, function(request, next) {
+        if (request.parsedQuery.query.foo === 'bar') request.findOptions = {maxTimeMS: 1000};
+        next();
+      });
+
+      var queries = [{foo: 'bar'}, {tenant: 'a'}, {foo: 'bar', tenant: 'a'}];
+      db.queryPollDocBulk('testcollection', 'test1', queries, null, function(err, results) {
+        if (err) return done(err);
+        expect(results).to.eql([true, true, true]);
+        var aggregate = Collection.prototype.aggregate;
+        expect(aggregate).to.have.been.calledTwice;
+        expect(Object.keys(aggregate.firstCall.args[0][1].$facet)).to.have.length(2);
+        expect(aggregate.firstCall.args[1]).to.eql({maxTimeMS: 1000});
+        expect(Object.keys(aggregate.secondCall.args[0][1].$facet)).to.have.length(1);
+        expect(aggregate.secondCall.args[1]).to.eql({});
+        done();
+      });
+    });
+
+    it('can reject a query', function(done) {
+      db.use(BEFORE_QUERY, function(_, next) {
+        next(new Error('Oh no!'));
+      });
+
+      db.query('testcollection', {foo: 'bar'}, null, null, function(err) {
+        expect(err.message).to.equal('Oh no!');
+        done();
+      });
+    });
+  });
+
+  describe(AFTER_QUERY, function() {
+    it('has the result count and duration on the request object', function(done) {
+      var middlewareSpy = sinon.spy(function(request, next) {
+        expect(request.action).to.equal(AFTER_QUERY);
+        expect(request.parsedQuery.query.foo).to.equal('bar');
+        expect(request.resultCount).to.equal(1);
+        expect(request.duration).to.be.a('number');
+        next();
+      });
+
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+        if (err) return done(err);
+        db.use(AFTER_QUERY, middlewareSpy);
+        db.queryPollDoc('testcollection', 'test1', {foo: 'bar'}, null, function(err, result) {
+          if (err) return done(err);
+          expect(result).to.equal(true);
+          expect(middlewareSpy).to.have.been.calledOnce;
+          done();
+        });
+      });
+    });
+
+    it('counts the results of collection and cursor operations only if they are a list', function(done) {
+      var resultCounts = [];
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+        if (err) return done(err);
+        db.use(AFTER_QUERY, function(request, next) {
+          resultCounts.push(request.resultCount);
+          next();
+        });
+        db.query('testcollection', {$distinct: {field: 'foo'}}, null, null, function(err) {
+          if (err) return done(err);
+          db.query('testcollection', {$count: true}, null, null, function(err) {
+            if (err) return done(err);
+            expect(resultCounts).to.eql([1, undefined]);
+            done();
+          });
+        });
+      });
+    });
+  });
+
   function expectDocumentToContainFoo(valueOfFoo, cb) {
     var query = {_id: 'test1'};
 
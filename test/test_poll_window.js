@@ -0,0 +1,169 @@
+var expect = require('chai').expect;
+var ShareDbMongo = require('..');
+
+var mongoUrl = process.env.TEST_MONGO_URL || 'mongodb://localhost:27017/test';
+
+function create(callback) {
+  var db = new ShareDbMongo(mongoUrl);
+  db.getDbs(function(err, mongo) {
+    if (err) return callback(err);
+    mongo.dropDatabase()
+      .then(function() {
+        callback(null, db);
+      })
+      .catch(callback);
+  });
+};
+
+describe('polling sorted and limited queries', function() {
+  beforeEach(function(done) {
+    var self = this;
+    create(function(err, db) {
+      if (err) return done(err);
+      self.db = db;
+      // Whether each query that ran was the full query
+      self.fullQueries = [];
+      db.use('beforeQuery', function(request, next) {
+        self.fullQueries.push(request.parsedQuery.cursorTransforms.hasOwnProperty('$limit'));
+        next();
+      });
+      commitCreate(db, 'doc1', {x: 1, y: 'a'}, function(err) {
+        if (err) return done(err);
+        commitCreate(db, 'doc2', {x: 2, y: 'a'}, function(err) {
+          if (err) return done(err);
+          commitCreate(db, 'doc3', {x: 3, y: 'a'}, done);
+        });
+      });
+    });
+  });
+
+  afterEach(function(done) {
+    this.db.close(done);
+  });
+
+  // Commit an op setting a field of a doc, then let skipPoll know about it and
+  // poll the query, the way ShareDB does
+  function setAndPoll(db, query, id, version, field, value, callback) {
+    var op = {v: version, op: [{p: [field], oi: value}]};
+    db.getSnapshot('docs', id, null, null, function(err, snapshot) {
+      if (err) return callback(err);
+      snapshot.data[field] = value;
+      snapshot.v++;
+      db.commit('docs', id, op, snapshot, null, function(err) {
+        if (err) return callback(err);
+        if (db.skipPoll('docs', id, op, query)) return callback(null, null);
+        db.queryPoll('docs', query, null, callback);
+      });
+    });
+  }
+
+  it('checks only a changed doc that sorts after the results', function(done) {
+    var db = this.db;
+    var fullQueries = this.fullQueries;
+    var query = {y: 'a', $sort: {x: 1}, $limit: 2};
+    db.queryPoll('docs', query, null, function(err, ids) {
+      if (err) return done(err);
+      expect(ids).to.eql(['doc1', 'doc2']);
+      setAndPoll(db, query, 'doc3', 1, 'x', 4, function(err, ids) {
+        if (err) return done(err);
+        expect(ids).to.eql(['doc1', 'doc2']);
+        expect(fullQueries).to.eql([true, false]);
+        done();
+      });
+    });
+  });
+
+  it('checks only a doc in the results whose sort values stay the same', function(done) {
+    var db = this.db;
+    var fullQueries = this.fullQueries;
+    var query = {y: 'a', $sort: {x: 1}, $limit: 2};
+    db.queryPoll('docs', query, null, function(err) {
+      if (err) return done(err);
+      setAndPoll(db, query, 'doc1', 1, 'y', 'a', function(err, ids) {
+        if (err) return done(err);
+        expect(ids).to.eql(['doc1', 'doc2']);
+        expect(fullQueries).to.eql([true, false]);
+        done();
+      });
+    });
+  });
+
+  it('runs the full query when a doc enters the results', function(done) {
+    var db = this.db;
+    var fullQueries = this.fullQueries;
+    var query = {y: 'a', $sort: {x: 1}, $limit: 2};
+    db.queryPoll('docs', query, null, function(err) {
+      if (err) return done(err);
+      setAndPoll(db, query, 'doc3', 1, 'x', 0, function(err, ids) {
+        if (err) return done(err);
+        expect(ids).to.eql(['doc3', 'doc1']);
+        expect(fullQueries).to.eql([true, false, true]);
+        done();
+      });
+    });
+  });
+
+  it('runs the full query when a doc leaves the results', function(done) {
+    var db = this.db;
+    var query = {y: 'a', $sort: {x: -1}, $limit: 2};
+    db.queryPoll('docs', query, null, function(err, ids) {
+      if (err) return done(err);
+      expect(ids).to.eql(['doc3', 'doc2']);
+      setAndPoll(db, query, 'doc2', 1, 'y', 'b', function(err, ids) {
+        if (err) return done(err);
+        expect(ids).to.eql(['doc3', 'doc1']);
+        done();
+      });
+    });
+  });
+
+  it('runs the full query when a doc in the results moves', function(done) {
+    var db = this.db;
+    var query = {y: 'a', $sort: {x: 1}, $limit: 2};
+    db.queryPoll('docs', query, null, function(err) {
+      if (err) return done(err);
+      setAndPoll(db, query, 'doc1', 1, 'x', 2.5, function(err, ids) {
+        if (err) return done(err);
+        expect(ids).to.eql(['doc2', 'doc1']);
+        done();
+      });
+    });
+  });
+
+  it('runs the full query without changed docs', function(done) {
+    var db = this.db;
+    var fullQueries = this.fullQueries;
+    var query = {y: 'a', $sort: {x: 1}, $limit: 2};
+    db.queryPoll('docs', query, null, function(err) {
+      if (err) return done(err);
+      db.queryPoll('docs', query, null, function(err, ids) {
+        if (err) return done(err);
+        expect(ids).to.eql(['doc1', 'doc2']);
+        expect(fullQueries).to.eql([true, true]);
+        done();
+      });
+    });
+  });
+
+  it('runs the full query with $skip', function(done) {
+    var db = this.db;
+    var fullQueries = this.fullQueries;
+    var query = {y: 'a', $sort: {x: 1}, $skip: 1, $limit: 1};
+    db.queryPoll('docs', query, null, function(err, ids) {
+      if (err) return done(err);
+      expect(ids).to.eql(['doc2']);
+      setAndPoll(db, query, 'doc3', 1, 'x', 4, function(err, ids) {
+        if (err) return done(err);
+        expect(ids).to.eql(['doc2']);
+        expect(fullQueries).to.eql([true, true]);
+        done();
+      });
+    });
+  });
+});
+
+function commitCreate(db, id, data, callback) {
+  var op = {v: 0, create: {type: 'json0', data: data}};
+  var snapshot = {type: 'json0', id: id, v: 1, data: data};
+  db.commit('docs', id, op, snapshot, null, callback);
+}
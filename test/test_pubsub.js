@@ -0,0 +1,177 @@
+var expect = require('chai').expect;
+var ShareDbMongo = require('..');
+
+var mongoUrl = process.env.TEST_MONGO_URL || 'mongodb://localhost:27017/test';
+
+function createDb(callback) {
+  var db = new ShareDbMongo(mongoUrl, {transactions: true});
+  db.getDbs(function(err, mongo) {
+    if (err) return callback(err);
+    mongo.dropDatabase()
+      .then(function() {
+        callback(null, db, mongo);
+      })
+      .catch(callback);
+  });
+}
+
+describe('pubsub', function() {
+  it('requires the transactions option', function() {
+    var db = new ShareDbMongo(mongoUrl);
+    expect(function() {
+      new ShareDbMongo.PubSub(db);
+    }).to.throw();
+    db.close();
+  });
+
+  describe('with change streams', function() {
+    var dbs = [];
+
+    // Change streams are only available on replica sets
+    before(function(done) {
+      var self = this;
+      var db = new ShareDbMongo(mongoUrl);
+      db.getDbs(function(err, mongo) {
+        if (err) return done(err);
+        mongo.admin().command({isMaster: 1}).then(function(result) {
+          db.close(function() {
+            if (!result.setName) self.skip();
+            done();
+          });
+        }, done);
+      });
+    });
+
+    afterEach(function(done) {
+      var closing = dbs;
+      dbs = [];
+      var count = closing.length;
+      if (!count) return done();
+      closing.forEach(function(db) {
+        db.close(function() {
+          if (--count === 0) done();
+        });
+      });
+    });
+
+    function create(callback) {
+      createDb(function(err, db) {
+        if (err) return callback(err);
+        dbs.push(db);
+        callback(null, new ShareDbMongo.PubSub(db));
+      });
+    }
+
+    require('sharedb/test/pubsub')(create);
+
+    describe('ops', function() {
+      beforeEach(function(done) {
+        var self = this;
+        createDb(function(err, db, mongo) {
+          if (err) return done(err);
+          dbs.push(db);
+          self.db = db;
+          self.mongo = mongo;
+          self.pubsub = new ShareDbMongo.PubSub(db, {name: 'test', resumeTokenSaveInterval: 0});
+          done();
+        });
+      });
+
+      afterEach(function(done) {
+        this.pubsub.close(done);
+      });
+
+      it('publishes committed ops to the collection and doc channels', function(done) {
+        var db = this.db;
+        var pubsub = this.pubsub;
+        pubsub.subscribe('testcollection.test1', function(err, stream) {
+          if (err) return done(err);
+          stream.on('data', function(data) {
+            expect(data).to.eql({v: 0, create: {type: 'json0'}, src: 'a', seq: 1, c: 'testcollection', d: 'test1'});
+            done();
+          });
+          var op = {v: 0, create: {type: 'json0'}, src: 'a', seq: 1};
+          var snapshot = {type: 'json0', id: 'test1', v: 1, data: {}};
+          db.commit('testcollection', 'test1', op, snapshot, null, function(err) {
+            if (err) return done(err);
+          });
+        });
+      });
+
+      it('does not publish ops when ShareDB publishes them', function(done) {
+        var pubsub = this.pubsub;
+        pubsub.subscribe('testcollection', function(err, stream) {
+          if (err) return done(err);
+          stream.on('data', function() {
+            done(new Error('Unexpected data'));
+          });
+          var op = {v: 1, op: [], src: 'a', seq: 2, c: 'testcollection', d: 'test1'};
+          pubsub.publish(['testcollection', 'testcollection.test1'], op, function(err) {
+            if (err) return done(err);
+            setTimeout(done, 100);
+          });
+        });
+      });
+
+      it('publishes ops to other channels through the messages collection', function(done) {
+        var pubsub = this.pubsub;
+        var op = {v: 1, op: [], src: 'a', seq: 2, c: 'testcollection', d: 'test1'};
+        pubsub.subscribe('custom', function(err, stream) {
+          if (err) return done(err);
+          stream.on('data', function(data) {
+            expect(data).to.eql(op);
+            done();
+          });
+          pubsub.publish(['testcollection', 'testcollection.test1', 'custom'], op, function(err) {
+            if (err) return done(err);
+          });
+        });
+      });
+
+      it('leaves the shard key fields out of committed ops', function(done) {
+        var db = this.db;
+        var pubsub = this.pubsub;
+        db.shardKey = {
+          testcollection: function() {
+            return {tenant: 'a'};
+          }
+        };
+        pubsub.subscribe('testcollection.test1', function(err, stream) {
+          if (err) return done(err);
+          stream.on('data', function(data) {
+            expect(data).to.eql({v: 0, create: {type: 'json0'}, src: 'a', seq: 1, c: 'testcollection', d: 'test1'});
+            done();
+          });
+          var op = {v: 0, create: {type: 'json0'}, src: 'a', seq: 1};
+          var snapshot = {type: 'json0', id: 'test1', v: 1, data: {tenant: 'a'}};
+          db.commit('testcollection', 'test1', op, snapshot, null, function(err) {
+            if (err) return done(err);
+          });
+        });
+      });
+
+      it('saves the resume token of the change stream', function(done) {
+        var db = this.db;
+        var mongo = this.mongo;
+        var pubsub = this.pubsub;
+        pubsub.subscribe('testcollection', function(err, stream) {
+          if (err) return done(err);
+          stream.on('data', function() {
+            pubsub.close(function(err) {
+              if (err) return done(err);
+              mongo.collection('pubsub_resume_tokens').find({_id: 'test testcollection'}).next()
+                .then(function(doc) {
+                  expect(doc.token).to.be.ok;
+                  done();
+                }, done);
+            });
+          });
+          var snapshot = {type: 'json0', id: 'test1', v: 1, data: {}};
+          db.commit('testcollection', 'test1', {v: 0, create: {}}, snapshot, null, function(err) {
+            if (err) return done(err);
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,208 @@
+var expect = require('chai').expect;
+var sinon = require('sinon');
+var ShareDbMongo = require('..');
+var QuerySubscription = require('../src/query-subscription');
+
+var mongoUrl = process.env.TEST_MONGO_URL || 'mongodb://localhost:27017/test';
+
+function create(callback) {
+  var db = new ShareDbMongo(mongoUrl);
+  db.getDbs(function(err, mongo) {
+    if (err) return callback(err);
+    mongo.dropDatabase()
+      .then(function() {
+        callback(null, db, mongo);
+      })
+      .catch(callback);
+  });
+};
+
+describe('query subscriptions', function() {
+  beforeEach(function(done) {
+    var self = this;
+    create(function(err, db, mongo) {
+      if (err) return done(err);
+      self.db = db;
+      self.mongo = mongo;
+      done();
+    });
+  });
+
+  afterEach(function(done) {
+    this.db.close(done);
+  });
+
+  it('rejects queries with a $limit', function(done) {
+    this.db.subscribeQuery('testcollection', {x: 1, $limit: 1}, null, function(err) {
+      expect(err.code).to.equal(4111);
+      done();
+    });
+  });
+
+  it('rejects queries with a $count', function(done) {
+    this.db.subscribeQuery('testcollection', {x: 1, $count: true}, null, function(err) {
+      expect(err.code).to.equal(4111);
+      done();
+    });
+  });
+
+  it('rejects queries with $expr', function(done) {
+    this.db.subscribeQuery('testcollection', {$expr: {$gt: ['$x', '$y']}}, null, function(err) {
+      expect(err.code).to.equal(4111);
+      done();
+    });
+  });
+
+  describe('with change streams', function() {
+    // Change streams are only available on replica sets
+    before(function(done) {
+      var self = this;
+      var db = new ShareDbMongo(mongoUrl);
+      db.getDbs(function(err, mongo) {
+        if (err) return done(err);
+        mongo.admin().command({isMaster: 1}).then(function(result) {
+          db.close(function() {
+            if (!result.setName) self.skip();
+            done();
+          });
+        }, done);
+      });
+    });
+
+    afterEach(function(done) {
+      if (!this.subscription) return done();
+      this.subscription.close(done);
+    });
+
+    it('calls back with the initial results', function(done) {
+      var self = this;
+      var db = this.db;
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {x: 1}};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+        if (err) return done(err);
+        db.subscribeQuery('testcollection', {x: 1}, null, function(err, subscription, ids) {
+          if (err) return done(err);
+          self.subscription = subscription;
+          expect(ids).to.eql(['test1']);
+          done();
+        });
+      });
+    });
+
+    it('reports added and removed ids', function(done) {
+      var self = this;
+      var db = this.db;
+      db.subscribeQuery('testcollection', {x: 1}, null, function(err, subscription, ids) {
+        if (err) return done(err);
+        self.subscription = subscription;
+        expect(ids).to.eql([]);
+
+        subscription.once('added', function(id) {
+          expect(id).to.equal('test1');
+          expect(subscription.getIds()).to.eql(['test1']);
+
+          subscription.once('removed', function(id) {
+            expect(id).to.equal('test1');
+            expect(subscription.getIds()).to.eql([]);
+            done();
+          });
+          var op = {v: 1, op: [{p: ['x'], od: 1, oi: 2}]};
+          var snapshot = {type: 'json0', id: 'test1', v: 2, data: {x: 2}};
+          db.commit('testcollection', snapshot.id, op, snapshot, null, function(err) {
+            if (err) return done(err);
+          });
+        });
+        var snapshot = {type: 'json0', id: 'test1', v: 1, data: {x: 1}};
+        db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+          if (err) return done(err);
+        });
+      });
+    });
+
+    it('removes deleted docs', function(done) {
+      var self = this;
+      var db = this.db;
+      db.subscribeQuery('testcollection', {x: {$ne: 2}}, null, function(err, subscription) {
+        if (err) return done(err);
+        self.subscription = subscription;
+        subscription.once('added', function() {
+          subscription.once('removed', function(id) {
+            expect(id).to.equal('test1');
+            done();
+          });
+          var snapshot = {type: null, id: 'test1', v: 2, data: undefined};
+          db.commit('testcollection', snapshot.id, {v: 1, del: true}, snapshot, null, function(err) {
+            if (err) return done(err);
+          });
+        });
+        var snapshot = {type: 'json0', id: 'test1', v: 1, data: {x: 1}};
+        db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+          if (err) return done(err);
+        });
+      });
+    });
+  });
+});
+
+describe('QuerySubscription versions', function() {
+  beforeEach(function() {
+    this.clock = sinon.useFakeTimers();
+    this.subscription = new QuerySubscription(null, null, {}, {}, {});
+  });
+
+  afterEach(function() {
+    this.clock.restore();
+  });
+
+  it('ignores events older than the last one handled', function() {
+    var subscription = this.subscription;
+    subscription._update('test1', 2, true, false);
+    subscription._update('test1', 1, false, false);
+    expect(subscription.getIds()).to.eql(['test1']);
+    subscription._update('test1', 3, false, false);
+    subscription._update('test1', 2, true, false);
+    expect(subscription.getIds()).to.eql([]);
+  });
+
+  it('forgets the versions of docs out of the results after a while', function() {
+    var subscription = this.subscription;
+    subscription._update('test1', 1, true, false);
+    subscription._update('test1', 2, false, false);
+    subscription._update('test2', 1, false, false);
+    expect(subscription._versions).to.eql({});
+    expect(subscription._leftVersions.size).to.equal(2);
+    this.clock.tick(60000);
+    subscription._update('test3', 1, true, false);
+    expect(subscription._leftVersions.size).to.equal(0);
+    expect(subscription._versions).to.eql({test3: 1});
+  });
+});
+
+describe('prefixQueryFields', function() {
+  var prefixQueryFields = ShareDbMongo._prefixQueryFields;
+
+  it('prefixes field paths', function() {
+    expect(prefixQueryFields({x: 1, 'y.z': {$gt: 2}}, 'fullDocument.')).to.eql({
+      'fullDocument.x': 1,
+      'fullDocument.y.z': {$gt: 2}
+    });
+  });
+
+  it('prefixes field paths inside $and, $or and $nor', function() {
+    expect(prefixQueryFields({$or: [{x: 1}, {$nor: [{y: 2}]}]}, 'fullDocument.')).to.eql({
+      $or: [{'fullDocument.x': 1}, {$nor: [{'fullDocument.y': 2}]}]
+    });
+  });
+
+  it('leaves field level operators alone', function() {
+    expect(prefixQueryFields({x: {$elemMatch: {y: 1}}}, 'fullDocument.')).to.eql({
+      'fullDocument.x': {$elemMatch: {y: 1}}
+    });
+  });
+
+  it('throws on unsupported top-level operators', function() {
+    expect(function() {
+      prefixQueryFields({$where: 'true'}, 'fullDocument.');
+    }).to.throw();
+  });
+});
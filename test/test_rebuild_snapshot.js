@@ -0,0 +1,211 @@
+var expect = require('chai').expect;
+var ShareDbMongo = require('..');
+
+var mongoUrl = process.env.TEST_MONGO_URL || 'mongodb://localhost:27017/test';
+
+function create(callback) {
+  var db = new ShareDbMongo(mongoUrl);
+  db.getDbs(function(err, mongo) {
+    if (err) return callback(err);
+    mongo.dropDatabase()
+      .then(function() {
+        callback(null, db, mongo);
+      })
+      .catch(callback);
+  });
+};
+
+describe('rebuildSnapshot', function() {
+  var collection = 'testcollection';
+  var ops = [
+    {v: 0, create: {type: 'json0', data: {x: 1}}, m: {ts: 1000}},
+    {v: 1, op: [{p: ['x'], na: 1}], m: {ts: 2000}},
+    {v: 2, op: [{p: ['y'], oi: 'a'}], m: {ts: 3000}}
+  ];
+
+  beforeEach(function(done) {
+    var self = this;
+    create(function(err, db, mongo) {
+      if (err) return done(err);
+      self.db = db;
+      self.mongo = mongo;
+      commitOps(db, mongo, collection, 'doc1', ops, done);
+    });
+  });
+
+  afterEach(function(done) {
+    this.db.close(done);
+  });
+
+  function expectRebuilt(db, done) {
+    db.getSnapshot(collection, 'doc1', null, {metadata: true}, function(err, snapshot) {
+      if (err) return done(err);
+      expect(snapshot.v).to.equal(3);
+      expect(snapshot.data).to.eql({x: 2, y: 'a'});
+      expect(snapshot.m).to.eql({ctime: 1000, mtime: 3000});
+      db.getOps(collection, 'doc1', 0, null, null, function(err, ops) {
+        if (err) return done(err);
+        expect(ops.length).to.equal(3);
+        done();
+      });
+    });
+  }
+
+  it('rebuilds a corrupted snapshot', function(done) {
+    var db = this.db;
+    this.mongo.collection(collection).updateOne({_id: 'doc1'}, {$set: {x: 'corrupt'}}).then(function() {
+      db.rebuildSnapshot(collection, 'doc1', null, function(err, succeeded, snapshot) {
+        if (err) return done(err);
+        expect(succeeded).to.equal(true);
+        expect(snapshot.data).to.eql({x: 2, y: 'a'});
+        expectRebuilt(db, done);
+      });
+    }, done);
+  });
+
+  it('rebuilds a snapshot missing the last op link', function(done) {
+    var db = this.db;
+    this.mongo.collection(collection).updateOne({_id: 'doc1'}, {$unset: {_o: true}}).then(function() {
+      db.rebuildSnapshot(collection, 'doc1', null, function(err, succeeded) {
+        if (err) return done(err);
+        expect(succeeded).to.equal(true);
+        expectRebuilt(db, done);
+      });
+    }, done);
+  });
+
+  it('rebuilds a missing snapshot', function(done) {
+    var db = this.db;
+    this.mongo.collection(collection).deleteOne({_id: 'doc1'}).then(function() {
+      db.rebuildSnapshot(collection, 'doc1', null, function(err, succeeded) {
+        if (err) return done(err);
+        expect(succeeded).to.equal(true);
+        expectRebuilt(db, done);
+      });
+    }, done);
+  });
+
+  it('follows the op chain past orphan ops', function(done) {
+    var db = this.db;
+    this.mongo.collection('o_' + collection).insertOne({d: 'doc1', v: 1, op: [{p: ['z'], oi: 1}], o: null})
+      .then(function() {
+        db.rebuildSnapshot(collection, 'doc1', null, function(err, succeeded) {
+          if (err) return done(err);
+          expect(succeeded).to.equal(true);
+          expectRebuilt(db, done);
+        });
+      }, done);
+  });
+
+  it('errors if there is more than one op to start from without a link', function(done) {
+    var db = this.db;
+    var mongo = this.mongo;
+    Promise.all([
+      mongo.collection(collection).updateOne({_id: 'doc1'}, {$unset: {_o: true}}),
+      mongo.collection('o_' + collection).insertOne({d: 'doc1', v: 2, op: [], o: null})
+    ]).then(function() {
+      db.rebuildSnapshot(collection, 'doc1', null, function(err) {
+        expect(err.code).to.equal(5105);
+        done();
+      });
+    }, done);
+  });
+
+  it('links a snapshot rebuilt at an earlier version to the op before it', function(done) {
+    var db = this.db;
+    var mongo = this.mongo;
+    db.rebuildSnapshot(collection, 'doc1', {version: 2}, function(err, succeeded, snapshot) {
+      if (err) return done(err);
+      expect(succeeded).to.equal(true);
+      expect(snapshot.data).to.eql({x: 2});
+      Promise.all([
+        mongo.collection(collection).findOne({_id: 'doc1'}),
+        mongo.collection('o_' + collection).findOne({d: 'doc1', v: 1})
+      ]).then(function(results) {
+        expect(results[0]._v).to.equal(2);
+        expect(results[0]._o).to.eql(results[1]._id);
+        db.getOps(collection, 'doc1', 0, null, null, function(err, ops) {
+          if (err) return done(err);
+          expect(ops.map(function(op) {
+            return op.v;
+          })).to.eql([0, 1]);
+          done();
+        });
+      }, done);
+    });
+  });
+
+  it('errors if ops are missing', function(done) {
+    var db = this.db;
+    this.mongo.collection('o_' + collection).deleteOne({d: 'doc1', v: 1}).then(function() {
+      db.rebuildSnapshot(collection, 'doc1', null, function(err) {
+        expect(err.code).to.equal(5103);
+        done();
+      });
+    }, done);
+  });
+
+  it('looks up the snapshot with the query of the beforeSnapshotLookup middleware', function(done) {
+    var db = this.db;
+    db.use('beforeSnapshotLookup', function(request, next) {
+      request.query = {_id: 'doc1', _v: 99};
+      next();
+    });
+    db._getSnapshotToRebuild(collection, 'doc1', null, function(err, doc) {
+      if (err) return done(err);
+      expect(doc).to.equal(null);
+      done();
+    });
+  });
+
+  it('does not overwrite a snapshot committed to in the meantime', function(done) {
+    var db = this.db;
+    var mongo = this.mongo;
+    var getSnapshotToRebuild = db._getSnapshotToRebuild;
+    db._getSnapshotToRebuild = function(collectionName, id, options, callback) {
+      getSnapshotToRebuild.call(this, collectionName, id, options, function(err, doc) {
+        if (err) return callback(err);
+        var op = {v: 3, op: [{p: ['x'], na: 1}]};
+        var snapshot = {id: 'doc1', v: 4, type: 'json0', data: {x: 3, y: 'a'}, m: null, _opLink: doc._o};
+        db.commit(collection, 'doc1', op, snapshot, null, function(err) {
+          callback(err, doc);
+        });
+      });
+    };
+    db.rebuildSnapshot(collection, 'doc1', null, function(err, succeeded) {
+      if (err) return done(err);
+      expect(succeeded).to.equal(false);
+      mongo.collection(collection).findOne({_id: 'doc1'}).then(function(doc) {
+        expect(doc._v).to.equal(4);
+        expect(doc.x).to.equal(3);
+        done();
+      }, done);
+    });
+  });
+});
+
+function commitOps(db, mongo, collection, id, ops, callback) {
+  var snapshot = {id: id, v: 0, type: null, data: undefined, m: null, _opLink: null};
+  var data = [{x: 1}, {x: 2}, {x: 2, y: 'a'}];
+  function next(i) {
+    if (i === ops.length) return callback();
+    var op = ops[i];
+    snapshot = {
+      id: id,
+      v: i + 1,
+      type: 'http://sharejs.org/types/JSONv0',
+      data: data[i],
+      m: {ctime: ops[0].m.ts, mtime: op.m.ts},
+      _opLink: snapshot._opLink
+    };
+    db.commit(collection, id, Object.assign({}, op), snapshot, null, function(err) {
+      if (err) return callback(err);
+      mongo.collection('o_' + collection).find({d: id, v: op.v}).next()
+        .then(function(op) {
+          snapshot._opLink = op._id;
+          next(i + 1);
+        }, callback);
+    });
+  }
+  next(0);
+}
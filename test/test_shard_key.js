@@ -0,0 +1,236 @@
+var expect = require('chai').expect;
+var ShareDbMongo = require('..');
+
+var mongoUrl = process.env.TEST_MONGO_URL || 'mongodb://localhost:27017/test';
+
+function create(options, callback) {
+  var db = new ShareDbMongo(mongoUrl, options);
+  db.getDbs(function(err, mongo) {
+    if (err) return callback(err);
+    mongo.dropDatabase()
+      .then(function() {
+        callback(null, db, mongo);
+      })
+      .catch(callback);
+  });
+};
+
+describe('shardKey option', function() {
+  var collection = 'testcollection';
+  var id = 'a:doc1';
+
+  beforeEach(function(done) {
+    var self = this;
+    var options = {
+      shardKey: {
+        testcollection: function(id) {
+          return {tenant: id.split(':')[0]};
+        }
+      }
+    };
+    create(options, function(err, db, mongo) {
+      if (err) return done(err);
+      self.db = db;
+      self.mongo = mongo;
+      var snapshot = {type: 'json0', id: id, v: 1, data: {x: 1, tenant: 'a'}};
+      db.commit(collection, id, {v: 0, create: {type: 'json0'}, src: 'abc', seq: 1}, snapshot, null, done);
+    });
+  });
+
+  afterEach(function(done) {
+    this.db.close(done);
+  });
+
+  function lookupQueries(db, action) {
+    var queries = [];
+    db.use(action, function(request, next) {
+      queries.push(request.query);
+      next();
+    });
+    return queries;
+  }
+
+  function commitEdit(db, callback) {
+    db.getSnapshot(collection, id, {$submit: true}, null, function(err, snapshot) {
+      if (err) return callback(err);
+      snapshot.v = 2;
+      snapshot.data = {x: 2, tenant: 'a'};
+      db.commit(collection, id, {v: 1, op: [{p: ['x'], na: 1}], m: {ts: 1000}}, snapshot, null, callback);
+    });
+  }
+
+  it('adds the shard key to the snapshot and op written', function(done) {
+    var mongo = this.mongo;
+    Promise.all([
+      mongo.collection(collection).findOne({_id: id}),
+      mongo.collection('o_' + collection).findOne({d: id})
+    ]).then(function(docs) {
+      expect(docs[0].tenant).to.equal('a');
+      expect(docs[1].tenant).to.equal('a');
+      done();
+    }, done);
+  });
+
+  it('adds the shard key to the replaceOne filter', function(done) {
+    var queries = lookupQueries(this.db, 'beforeOverwrite');
+    commitEdit(this.db, function(err, succeeded) {
+      if (err) return done(err);
+      expect(succeeded).to.equal(true);
+      expect(queries).to.eql([{_id: id, _v: 1, tenant: 'a'}]);
+      done();
+    });
+  });
+
+  it('adds the shard key to snapshot lookups', function(done) {
+    var db = this.db;
+    var queries = lookupQueries(db, 'beforeSnapshotLookup');
+    db.getSnapshot(collection, id, null, null, function(err, snapshot) {
+      if (err) return done(err);
+      expect(snapshot.data).to.eql({x: 1, tenant: 'a'});
+      db.getSnapshotBulk(collection, [id, 'b:doc2'], null, null, function(err, snapshots) {
+        if (err) return done(err);
+        expect(snapshots[id].v).to.equal(1);
+        expect(queries).to.eql([
+          {_id: id, tenant: 'a'},
+          {$or: [{_id: id, tenant: 'a'}, {_id: 'b:doc2', tenant: 'b'}]}
+        ]);
+        done();
+      });
+    });
+  });
+
+  it('adds the shard key to op lookups', function(done) {
+    var db = this.db;
+    var queries = lookupQueries(db, 'beforeOpsLookup');
+    db.getOps(collection, id, 0, null, null, function(err, ops) {
+      if (err) return done(err);
+      expect(ops.length).to.equal(1);
+      db.getOpsBulk(collection, {'a:doc1': 0}, null, null, function(err, opsMap) {
+        if (err) return done(err);
+        expect(opsMap[id].length).to.equal(1);
+        expect(queries).to.eql([
+          {d: id, v: {$gte: 0}, tenant: 'a'},
+          {$or: [{d: id, v: {$gte: 0}, tenant: 'a'}]}
+        ]);
+        done();
+      });
+    });
+  });
+
+  it('leaves the shard key out of the ops returned', function(done) {
+    var db = this.db;
+    var expected = [{v: 0, create: {type: 'json0'}, src: 'abc', seq: 1}];
+    db.getOps(collection, id, 0, null, null, function(err, ops) {
+      if (err) return done(err);
+      expect(ops).to.eql(expected);
+      db.getOpsBulk(collection, {'a:doc1': 0}, null, null, function(err, opsMap) {
+        if (err) return done(err);
+        expect(opsMap[id]).to.eql(expected);
+        db.getSnapshot(collection, id, {$submit: true}, null, function(err, snapshot) {
+          if (err) return done(err);
+          db.getOpsToSnapshot(collection, id, 0, snapshot, null, function(err, ops) {
+            if (err) return done(err);
+            expect(ops).to.eql(expected);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('rejects snapshot data that does not match the shard key', function(done) {
+    var db = this.db;
+    var snapshot = {type: 'json0', id: 'a:doc2', v: 1, data: {x: 1, tenant: 'b'}};
+    db.commit(collection, 'a:doc2', {v: 0, create: {type: 'json0'}}, snapshot, null, function(err) {
+      expect(err.code).to.equal(4114);
+      snapshot.data = {x: 1};
+      db.commit(collection, 'a:doc2', {v: 0, create: {type: 'json0'}}, snapshot, null, function(err) {
+        expect(err.code).to.equal(4114);
+        db.getSnapshot(collection, 'a:doc2', null, null, function(err, snapshot) {
+          if (err) return done(err);
+          expect(snapshot.data).to.equal(undefined);
+          done();
+        });
+      });
+    });
+  });
+
+  it('keeps the data of snapshots that are not objects', function(done) {
+    var db = this.db;
+    var snapshot = {type: 'text', id: 'b:doc2', v: 1, data: 'abc'};
+    db.commit(collection, 'b:doc2', {v: 0, create: {type: 'text'}}, snapshot, null, function(err) {
+      if (err) return done(err);
+      db.getSnapshot(collection, 'b:doc2', null, null, function(err, snapshot) {
+        if (err) return done(err);
+        expect(snapshot.data).to.equal('abc');
+        done();
+      });
+    });
+  });
+
+  it('adds the shard key to committed op lookups', function(done) {
+    var db = this.db;
+    db.getSnapshot(collection, id, {$submit: true}, null, function(err, snapshot) {
+      if (err) return done(err);
+      var queries = lookupQueries(db, 'beforeOpsLookup');
+      db.getCommittedOpVersion(collection, id, snapshot, {src: 'abc', seq: 1}, null, function(err, version) {
+        if (err) return done(err);
+        expect(version).to.equal(0);
+        expect(queries[0]).to.eql({src: 'abc', seq: 1, tenant: 'a'});
+        done();
+      });
+    });
+  });
+
+  it('adds the shard key to the removal of the op of a failed commit', function(done) {
+    var db = this.db;
+    var queries = lookupQueries(db, 'beforeOpDelete');
+    var snapshot = {type: 'json0', id: id, v: 1, data: {x: 1, tenant: 'a'}};
+    db.commit(collection, id, {v: 0, create: {type: 'json0'}}, snapshot, null, function(err, succeeded) {
+      if (err) return done(err);
+      expect(succeeded).to.equal(false);
+      expect(queries.length).to.equal(1);
+      expect(queries[0].tenant).to.equal('a');
+      done();
+    });
+  });
+
+  it('keeps the shard key on compacted ops', function(done) {
+    var db = this.db;
+    var mongo = this.mongo;
+    commitEdit(db, function(err) {
+      if (err) return done(err);
+      db.getSnapshot(collection, id, {$submit: true}, null, function(err, snapshot) {
+        if (err) return done(err);
+        snapshot.v = 3;
+        snapshot.data = {x: 3, tenant: 'a'};
+        db.commit(collection, id, {v: 2, op: [{p: ['x'], na: 1}], m: {ts: 2000}}, snapshot, null, function(err) {
+          if (err) return done(err);
+          db.compactOps(collection, {olderThan: 3000}, function(err, result) {
+            if (err) return done(err);
+            expect(result.runs).to.equal(1);
+            mongo.collection('o_' + collection).findOne({cv: 1}).then(function(op) {
+              expect(op).to.include({v: 2, tenant: 'a'});
+              done();
+            }, done);
+          });
+        });
+      });
+    });
+  });
+
+  it('adds the shard key to the removal of orphan ops', function() {
+    var query = this.db._getOpIdsQuery(collection, [{_id: 1, d: id}, {_id: 2, d: 'b:doc2'}]);
+    expect(query).to.eql({$or: [{_id: 1, tenant: 'a'}, {_id: 2, tenant: 'b'}]});
+  });
+
+  it('leaves other collections alone', function(done) {
+    var db = this.db;
+    var queries = lookupQueries(db, 'beforeSnapshotLookup');
+    db.getSnapshot('othercollection', id, null, null, function(err) {
+      if (err) return done(err);
+      expect(queries).to.eql([{_id: id}]);
+      done();
+    });
+  });
+});
@@ -0,0 +1,210 @@
+var expect = require('chai').expect;
+var ShareDbMongo = require('..');
+
+var mongoUrl = process.env.TEST_MONGO_URL || 'mongodb://localhost:27017/test';
+
+function create(options, callback) {
+  var db = new ShareDbMongo(mongoUrl, options);
+  db.getDbs(function(err, mongo) {
+    if (err) return callback(err);
+    mongo.dropDatabase()
+      .then(function() {
+        callback(null, db, mongo);
+      })
+      .catch(callback);
+  });
+};
+
+describe('sharedOpCollection option', function() {
+  beforeEach(function(done) {
+    var self = this;
+    create({sharedOpCollection: 'ops'}, function(err, db, mongo) {
+      if (err) return done(err);
+      self.db = db;
+      self.mongo = mongo;
+      commitCreate(db, 'docs', 'doc1', function(err) {
+        if (err) return done(err);
+        commitCreate(db, 'notes', 'doc1', done);
+      });
+    });
+  });
+
+  afterEach(function(done) {
+    this.db.close(done);
+  });
+
+  it('stores the ops of every collection in the shared collection', function(done) {
+    var mongo = this.mongo;
+    Promise.all([
+      mongo.collection('ops').find({}).sort({c: 1}).toArray(),
+      mongo.collection('o_docs').countDocuments({})
+    ]).then(function(results) {
+      expect(results[0].map(function(op) {
+        return op.c;
+      })).to.eql(['docs', 'notes']);
+      expect(results[1]).to.equal(0);
+      done();
+    }, done);
+  });
+
+  it('creates the op indexes with the collection field', function(done) {
+    this.mongo.collection('ops').indexInformation().then(function(indexes) {
+      expect(indexes['c_1_d_1_v_1']).to.be.ok;
+      expect(indexes['c_1_src_1_seq_1_v_1']).to.be.ok;
+      done();
+    }, done);
+  });
+
+  it('gets only the ops of the collection', function(done) {
+    var db = this.db;
+    db.getOps('docs', 'doc1', 0, null, null, function(err, ops) {
+      if (err) return done(err);
+      expect(ops).to.eql([{v: 0, src: 'abc', seq: 1, create: {type: 'json0', data: {collection: 'docs'}}}]);
+      db.getOpsBulk('notes', {doc1: 0}, null, null, function(err, opsMap) {
+        if (err) return done(err);
+        expect(opsMap.doc1.length).to.equal(1);
+        expect(opsMap.doc1[0].create.data).to.eql({collection: 'notes'});
+        done();
+      });
+    });
+  });
+
+  it('adds the collection to op lookups', function(done) {
+    var db = this.db;
+    var queries = [];
+    db.use('beforeOpsLookup', function(request, next) {
+      queries.push(request.query);
+      next();
+    });
+    db.getSnapshot('notes', 'doc1', {$submit: true}, null, function(err, snapshot) {
+      if (err) return done(err);
+      db.getCommittedOpVersion('notes', 'doc1', snapshot, {src: 'abc', seq: 1}, null, function(err, version) {
+        if (err) return done(err);
+        expect(version).to.equal(0);
+        expect(queries[0]).to.eql({src: 'abc', seq: 1, c: 'notes'});
+        expect(queries[1]).to.eql({d: 'doc1', v: {$gte: 0}, c: 'notes'});
+        done();
+      });
+    });
+  });
+
+  it('keeps compacted ops in the collection', function(done) {
+    var db = this.db;
+    commitEdits(db, 'docs', 'doc1', 3, function(err) {
+      if (err) return done(err);
+      db.compactOps('docs', {olderThan: Date.now() + 1000}, function(err, result) {
+        if (err) return done(err);
+        expect(result.removed).to.equal(2);
+        db.getOps('docs', 'doc1', 0, null, null, function(err, ops) {
+          if (err) return done(err);
+          expect(ops.map(function(op) {
+            return op.v;
+          })).to.eql([0, 1, 2, 3]);
+          expect(ops[1].op).to.eql([{p: ['x'], na: 3}]);
+          done();
+        });
+      });
+    });
+  });
+
+  it('rejects the shared collection as a collection name', function() {
+    expect(this.db.validateCollectionName('ops').code).to.equal(4102);
+    expect(this.db.validateCollectionName('o_docs')).to.equal(undefined);
+  });
+
+  it('throws with the opCollectionName option', function() {
+    expect(function() {
+      new ShareDbMongo(mongoUrl, {sharedOpCollection: 'ops', opCollectionName: {prefix: 'ops_'}});
+    }).to.throw();
+  });
+});
+
+describe('migrateToSharedOpCollection', function() {
+  beforeEach(function(done) {
+    var self = this;
+    create({}, function(err, db, mongo) {
+      if (err) return done(err);
+      self.mongo = mongo;
+      commitCreate(db, 'docs', 'doc1', function(err) {
+        if (err) return done(err);
+        commitCreate(db, 'docs', 'doc2', function(err) {
+          if (err) return done(err);
+          db.close(function(err) {
+            if (err) return done(err);
+            self.db = new ShareDbMongo(mongoUrl, {sharedOpCollection: 'ops'});
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  afterEach(function(done) {
+    this.db.close(done);
+  });
+
+  it('moves the ops to the shared collection', function(done) {
+    var db = this.db;
+    var mongo = this.mongo;
+    db.migrateToSharedOpCollection('docs', {batchSize: 1, batchDelay: 0}, function(err, moved) {
+      if (err) return done(err);
+      expect(moved).to.equal(2);
+      Promise.all([
+        mongo.collection('ops').countDocuments({c: 'docs'}),
+        mongo.collection('o_docs').countDocuments({})
+      ]).then(function(counts) {
+        expect(counts).to.eql([2, 0]);
+        db.getOps('docs', 'doc2', 0, null, null, function(err, ops) {
+          if (err) return done(err);
+          expect(ops.length).to.equal(1);
+          done();
+        });
+      }, done);
+    });
+  });
+
+  it('moves nothing when run again', function(done) {
+    var db = this.db;
+    db.migrateToSharedOpCollection('docs', {batchDelay: 0}, function(err) {
+      if (err) return done(err);
+      db.migrateToSharedOpCollection('docs', {batchDelay: 0}, function(err, moved) {
+        if (err) return done(err);
+        expect(moved).to.equal(0);
+        done();
+      });
+    });
+  });
+
+  it('requires the sharedOpCollection option', function(done) {
+    var db = new ShareDbMongo(mongoUrl);
+    db.migrateToSharedOpCollection('docs', function(err) {
+      expect(err.code).to.equal(4113);
+      db.close(done);
+    });
+  });
+});
+
+// Commit edits to a doc created with commitCreate, with timestamps so that
+// they can be compacted
+function commitEdits(db, collection, id, count, callback) {
+  var version = 1;
+  function next(err) {
+    if (err) return callback(err);
+    if (version > count) return callback();
+    db.getSnapshot(collection, id, {$submit: true}, null, function(err, snapshot) {
+      if (err) return callback(err);
+      var op = {v: version, op: [{p: ['x'], na: 1}], m: {ts: Date.now()}};
+      snapshot.v = ++version;
+      snapshot.data = {collection: collection, x: version - 1};
+      db.commit(collection, id, op, snapshot, null, next);
+    });
+  }
+  next();
+}
+
+function commitCreate(db, collection, id, callback) {
+  var data = {collection: collection};
+  var op = {v: 0, src: 'abc', seq: 1, create: {type: 'json0', data: data}};
+  var snapshot = {type: 'json0', id: id, v: 1, data: data};
+  db.commit(collection, id, op, snapshot, null, callback);
+}
@@ -1,4 +1,5 @@
 var expect = require('chai').expect;
+var json1 = require('ot-json1');
 var ShareDbMongo = require('../index');
 
 describe('skipPoll', function() {
@@ -117,6 +118,188 @@ describe('skipPoll', function() {
   });
 });
 
+describe('skipPoll with nested paths', function() {
+  function component(path) {
+    return {op: [{p: path, oi: 1}]};
+  }
+
+  it('compares the full path of dotted query keys', function() {
+    var query = {'settings.theme': 'dark'};
+    assertSkips(component(['settings', 'font']), query);
+    assertNotSkips(component(['settings', 'theme']), query);
+    assertNotSkips(component(['settings', 'theme', 'name']), query);
+    assertNotSkips(component(['settings']), query);
+  });
+
+  it('compares the full path of sort keys', function() {
+    var query = {a: 1, $sort: {'meta.rank': 1}};
+    assertSkips(component(['meta', 'author']), query);
+    assertNotSkips(component(['meta', 'rank']), query);
+  });
+
+  it('compares array indexes', function() {
+    var query = {'items.0.name': 'a'};
+    assertSkips(component(['items', 1, 'name']), query);
+    assertNotSkips(component(['items', 0, 'name']), query);
+    assertNotSkips({op: [{p: ['items', 1], li: {}}]}, query);
+  });
+
+  it('matches array elements that queries traverse implicitly', function() {
+    var query = {'items.name': 'a'};
+    assertSkips(component(['items', 3, 'price']), query);
+    assertNotSkips(component(['items', 3, 'name']), query);
+    assertNotSkips({op: [{p: ['items', 3], ld: {}}]}, query);
+  });
+
+  it('compares the paths within $elemMatch', function() {
+    var query = {items: {$elemMatch: {name: 'a', 'tags.color': 'red'}}};
+    assertSkips(component(['items', 2, 'price']), query);
+    assertSkips(component(['items', 2, 'tags', 0, 'size']), query);
+    assertNotSkips(component(['items', 2, 'name']), query);
+    assertNotSkips(component(['items', 2, 'tags', 0, 'color']), query);
+    assertNotSkips({op: [{p: ['items', 2], li: {}}]}, query);
+  });
+
+  it('matches any element for $elemMatch operators', function() {
+    var query = {scores: {$elemMatch: {$gt: 5}}};
+    assertSkips(component(['other']), query);
+    assertNotSkips({op: [{p: ['scores', 1, 'value'], na: 1}]}, query);
+  });
+
+  it('compares json1 paths', function() {
+    var query = {'settings.theme': 'dark'};
+    assertSkips({op: json1.replaceOp(['settings', 'font'], 1, 2)}, query);
+    assertNotSkips({op: json1.replaceOp(['settings', 'theme'], 1, 2)}, query);
+  });
+});
+
+describe('skipPoll with json1 ops', function() {
+  var query = {a: 1, $sort: {b: 1}};
+
+  it('skips ops on other fields', function() {
+    assertSkips({op: json1.replaceOp(['x'], 1, 2)}, query);
+    assertSkips({op: json1.insertOp(['x', 'y'], 3)}, query);
+    assertSkips({op: json1.editOp(['x'], 'text-unicode', [1, 'a'])}, query);
+  });
+
+  it('does not skip ops on queried fields', function() {
+    assertNotSkips({op: json1.replaceOp(['a'], 1, 2)}, query);
+    assertNotSkips({op: json1.removeOp(['b', 0], 1)}, query);
+  });
+
+  it('checks every descent', function() {
+    assertSkips({op: json1.type.compose(json1.replaceOp(['x'], 1, 2), json1.insertOp(['y'], 3))}, query);
+    assertNotSkips({op: json1.type.compose(json1.replaceOp(['x'], 1, 2), json1.insertOp(['b'], 3))}, query);
+    assertNotSkips({op: json1.moveOp(['x'], ['a'])}, query);
+  });
+
+  it('does not skip ops on the whole doc', function() {
+    assertNotSkips({op: json1.replaceOp([], {}, {x: 1})}, query);
+  });
+
+  it('does not skip ops that only look like json1 ops', function() {
+    assertNotSkips({op: [3, 'abc']}, {_data: {$regex: 'x'}});
+    assertNotSkips({op: ['x']}, query);
+    assertNotSkips({op: ['x', {}]}, query);
+    assertNotSkips({op: ['x', {z: 1}]}, query);
+    assertNotSkips({op: ['x', {d: 1}]}, query);
+    assertNotSkips({op: [3, 'abc', {d: 2}]}, {_data: {$regex: 'x'}});
+    assertNotSkips({op: [['x', {p: 0}], ['y', {p: 0}], ['z', {d: 0}]]}, query);
+  });
+
+  it('compares array indexes with the _data field', function() {
+    assertNotSkips({op: json1.removeOp([0], 1)}, {_data: 1});
+    assertSkips({op: json1.removeOp([0], 1)}, query);
+  });
+});
+
+describe('skipPoll with the types of docs', function() {
+  var query = {a: 1};
+  // A text op shaped like a json1 drop into the `a` field
+  var textOp = {op: ['a', {d: 1}]};
+  var textType = 'http://sharejs.org/types/textv1';
+
+  beforeEach(function() {
+    // The mongo function never calls back, so the db never connects
+    this.db = new ShareDbMongo({mongo: function() {}});
+  });
+
+  afterEach(function() {
+    ShareDbMongo.touchedFields.unregister(textType);
+  });
+
+  it('does not skip text ops with deletes without the type of the doc', function() {
+    expect(this.db.skipPoll('docs', 'doc1', textOp, {b: 1})).equal(false);
+    expect(this.db.skipPoll('docs', 'doc1', {op: [3, 'abc', {d: 2}]}, {_data: {$regex: 'x'}})).equal(false);
+  });
+
+  it('recognises json1 moves without the type of the doc', function() {
+    expect(this.db.skipPoll('docs', 'doc1', {op: json1.moveOp(['x'], ['y'])}, query)).equal(true);
+    expect(this.db.skipPoll('docs', 'doc1', {op: json1.moveOp(['x'], ['a'])}, query)).equal(false);
+  });
+
+  it('does not skip ops of docs of unregistered types', function() {
+    this.db.skipPoll('docs', 'doc1', {v: 0, create: {type: textType, data: ''}}, query);
+    expect(this.db.skipPoll('docs', 'doc1', {op: json1.replaceOp(['x'], 1, 2)}, query)).equal(false);
+    expect(this.db.skipPoll('docs', 'doc2', {op: json1.replaceOp(['x'], 1, 2)}, query)).equal(true);
+  });
+
+  it('uses the type registered for the docs', function() {
+    ShareDbMongo.touchedFields.register(textType, {
+      getTouchedFields: function() {
+        return ['_data'];
+      }
+    });
+    this.db.skipPoll('docs', 'doc1', {v: 0, create: {type: textType, data: ''}}, query);
+    expect(this.db.skipPoll('docs', 'doc1', textOp, query)).equal(true);
+    expect(this.db.skipPoll('docs', 'doc1', textOp, {_data: 'a'})).equal(false);
+  });
+
+  it('forgets the type of deleted docs', function() {
+    ShareDbMongo.touchedFields.register(textType, {
+      getTouchedFields: function() {
+        return ['_data'];
+      }
+    });
+    this.db.skipPoll('docs', 'doc1', {v: 0, create: {type: textType, data: ''}}, query);
+    expect(this.db.skipPoll('docs', 'doc1', textOp, {b: 1})).equal(true);
+    this.db.skipPoll('docs', 'doc1', {v: 1, del: true}, query);
+    expect(this.db.skipPoll('docs', 'doc1', textOp, {b: 1})).equal(false);
+  });
+
+  it('uses the json1 type by its URI', function() {
+    this.db.skipPoll('docs', 'doc1', {v: 0, create: {type: 'http://sharejs.org/types/JSONv1', data: {}}}, query);
+    expect(this.db.skipPoll('docs', 'doc1', {op: json1.replaceOp(['x'], 1, 2)}, query)).equal(true);
+    expect(this.db.skipPoll('docs', 'doc1', {op: json1.replaceOp(['a'], 1, 2)}, query)).equal(false);
+  });
+});
+
+describe('skipPoll with other ops', function() {
+  var query = {a: 1};
+  var richTextOp = {op: [{retain: 2}, {insert: 'a'}]};
+
+  afterEach(function() {
+    ShareDbMongo.touchedFields.unregister('rich-text');
+  });
+
+  it('does not skip ops of unregistered types', function() {
+    assertNotSkips(richTextOp, query);
+  });
+
+  it('uses registered types', function() {
+    ShareDbMongo.touchedFields.register('rich-text', {
+      isOp: function(op) {
+        return Array.isArray(op) && op[0] && ('retain' in op[0] || 'insert' in op[0] || 'delete' in op[0]);
+      },
+      getTouchedFields: function() {
+        return ['ops'];
+      }
+    });
+    assertSkips(richTextOp, query);
+    assertNotSkips(richTextOp, {ops: {$size: 1}});
+  });
+});
+
 // `rawOp` is a partial op document, containing only one 'create', 'del' or 'op'
 function assertIfSkips(rawOp, query, expectedSkips) {
   var op = {src: 'dummysrc', seq: 0, v: 0};
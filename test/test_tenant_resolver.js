@@ -0,0 +1,110 @@
+var expect = require('chai').expect;
+var ShareDbMongo = require('..');
+
+var mongoUrl = process.env.TEST_MONGO_URL || 'mongodb://localhost:27017/test';
+
+function create(options, callback) {
+  var db = new ShareDbMongo(mongoUrl, options);
+  db.getDbs(function(err, mongo) {
+    if (err) return callback(err);
+    var tenantMongo = db._mongoClient.db('sharedb_mongo_test_tenant');
+    Promise.all([mongo.dropDatabase(), tenantMongo.dropDatabase()])
+      .then(function() {
+        callback(null, db, mongo, tenantMongo);
+      })
+      .catch(callback);
+  });
+};
+
+describe('tenantResolver option', function() {
+  var collection = 'testcollection';
+  var tenantOptions = {agentCustom: {tenant: 'sharedb_mongo_test_tenant'}};
+
+  beforeEach(function(done) {
+    var self = this;
+    var options = {
+      tenantResolver: function(options) {
+        return options.agentCustom && options.agentCustom.tenant;
+      }
+    };
+    create(options, function(err, db, mongo, tenantMongo) {
+      if (err) return done(err);
+      self.db = db;
+      self.mongo = mongo;
+      self.tenantMongo = tenantMongo;
+      var snapshot = {type: 'json0', id: 'doc1', v: 1, data: {x: 1}};
+      db.commit(collection, 'doc1', {v: 0, create: {type: 'json0'}}, snapshot, tenantOptions, done);
+    });
+  });
+
+  afterEach(function(done) {
+    var db = this.db;
+    this.tenantMongo.dropDatabase().then(function() {
+      db.close(done);
+    }, done);
+  });
+
+  it('writes snapshots and ops to the tenant db', function(done) {
+    var mongo = this.mongo;
+    var tenantMongo = this.tenantMongo;
+    Promise.all([
+      tenantMongo.collection(collection).countDocuments({_id: 'doc1'}),
+      tenantMongo.collection('o_' + collection).countDocuments({d: 'doc1'}),
+      mongo.collection(collection).countDocuments({_id: 'doc1'}),
+      mongo.collection('o_' + collection).countDocuments({d: 'doc1'})
+    ]).then(function(counts) {
+      expect(counts).to.eql([1, 1, 0, 0]);
+      done();
+    }, done);
+  });
+
+  it('reads snapshots and ops from the tenant db', function(done) {
+    var db = this.db;
+    db.getSnapshot(collection, 'doc1', null, tenantOptions, function(err, snapshot) {
+      if (err) return done(err);
+      expect(snapshot.data).to.eql({x: 1});
+      db.getOps(collection, 'doc1', 0, null, tenantOptions, function(err, ops) {
+        if (err) return done(err);
+        expect(ops.length).to.equal(1);
+        done();
+      });
+    });
+  });
+
+  it('queries the tenant db', function(done) {
+    var db = this.db;
+    db.query(collection, {x: 1}, null, tenantOptions, function(err, snapshots) {
+      if (err) return done(err);
+      expect(snapshots.length).to.equal(1);
+      db.queryPoll(collection, {x: 1}, tenantOptions, function(err, ids) {
+        if (err) return done(err);
+        expect(ids).to.eql(['doc1']);
+        done();
+      });
+    });
+  });
+
+  it('uses the default db when the resolver returns nothing', function(done) {
+    var db = this.db;
+    db.getSnapshot(collection, 'doc1', null, null, function(err, snapshot) {
+      if (err) return done(err);
+      expect(snapshot.v).to.equal(0);
+      db.query(collection, {x: 1}, null, {}, function(err, snapshots) {
+        if (err) return done(err);
+        expect(snapshots).to.eql([]);
+        done();
+      });
+    });
+  });
+
+  it('is not supported by the pub/sub adapter and milestone db', function() {
+    var db = this.db;
+    db.transactions = true;
+    expect(function() {
+      new ShareDbMongo.PubSub(db);
+    }).to.throw(/tenantResolver/);
+    expect(function() {
+      new ShareDbMongo.MilestoneDB(db);
+    }).to.throw(/tenantResolver/);
+  });
+});
@@ -0,0 +1,106 @@
+var expect = require('chai').expect;
+var ShareDbMongo = require('..');
+var sinon = require('sinon');
+
+var mongoUrl = process.env.TEST_MONGO_URL || 'mongodb://localhost:27017/test';
+
+function create(callback) {
+  var db = new ShareDbMongo(mongoUrl, {transactions: true});
+  db.getDbs(function(err, mongo) {
+    if (err) return callback(err);
+    mongo.dropDatabase()
+      .then(function() {
+        callback(null, db, mongo);
+      })
+      .catch(callback);
+  });
+};
+
+describe('transactions', function() {
+  beforeEach(function(done) {
+    var self = this;
+    create(function(err, db, mongo) {
+      if (err) return done(err);
+      self.db = db;
+      self.mongo = mongo;
+      done();
+    });
+  });
+
+  afterEach(function(done) {
+    this.db.close(done);
+  });
+
+  it('commits and fetches ops', function(done) {
+    var db = this.db;
+    var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+    db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err, succeeded) {
+      if (err) return done(err);
+      expect(succeeded).to.equal(true);
+      db.getOps('testcollection', snapshot.id, 0, null, null, function(err, ops) {
+        if (err) return done(err);
+        expect(ops).to.eql([{v: 0, create: {}}]);
+        done();
+      });
+    });
+  });
+
+  it('does not write the snapshot of a losing commit', function(done) {
+    var db = this.db;
+    var mongo = this.mongo;
+    var snapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'bar'}};
+    db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+      if (err) return done(err);
+      var losingSnapshot = {type: 'json0', id: 'test1', v: 1, data: {foo: 'baz'}};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, losingSnapshot, null, function(err, succeeded) {
+        if (err) return done(err);
+        expect(succeeded).to.equal(false);
+        mongo.collection('o_testcollection').countDocuments({d: 'test1'}).then(function(count) {
+          expect(count).to.equal(1);
+          done();
+        }, done);
+      });
+    });
+  });
+
+  describe('getOps', function() {
+    beforeEach(function(done) {
+      sinon.spy(this.db, '_getOpsFromOpLink');
+      done();
+    });
+
+    it('returns transactional ops without following op links', function(done) {
+      var db = this.db;
+      var ops = [
+        {d: 'test1', v: 0, create: {}, tx: true},
+        {d: 'test1', v: 1, op: [], tx: true},
+        {d: 'test1', v: 2, op: [], tx: true}
+      ];
+      this.mongo.collection('o_testcollection').insertMany(ops).then(function() {
+        db.getOps('testcollection', 'test1', 1, 3, null, function(err, ops) {
+          if (err) return done(err);
+          expect(ops).to.eql([{v: 1, op: []}, {v: 2, op: []}]);
+          expect(db._getOpsFromOpLink.called).to.equal(false);
+          done();
+        });
+      }, done);
+    });
+
+    it('follows op links when some ops were not written in a transaction', function(done) {
+      var db = this.db;
+      var mongo = this.mongo;
+      var snapshot = {type: 'json0', id: 'test1', v: 1, data: {}};
+      db.commit('testcollection', snapshot.id, {v: 0, create: {}}, snapshot, null, function(err) {
+        if (err) return done(err);
+        mongo.collection('o_testcollection').updateMany({}, {$unset: {tx: true}}).then(function() {
+          db.getOps('testcollection', 'test1', 0, null, null, function(err, ops) {
+            if (err) return done(err);
+            expect(ops).to.eql([{v: 0, create: {}}]);
+            expect(db._getOpsFromOpLink.calledOnce).to.equal(true);
+            done();
+          });
+        }, done);
+      });
+    });
+  });
+});
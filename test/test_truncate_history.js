@@ -0,0 +1,246 @@
+var expect = require('chai').expect;
+var ShareDbMongo = require('..');
+
+var mongoUrl = process.env.TEST_MONGO_URL || 'mongodb://localhost:27017/test';
+
+function create(callback) {
+  var db = new ShareDbMongo(mongoUrl);
+  db.getDbs(function(err, mongo) {
+    if (err) return callback(err);
+    mongo.dropDatabase()
+      .then(function() {
+        callback(null, db, mongo);
+      })
+      .catch(callback);
+  });
+};
+
+describe('truncateHistory', function() {
+  var collection = 'testcollection';
+  var ops = [
+    {v: 0, create: {type: 'json0', data: {x: 0}}, m: {ts: 1000}},
+    {v: 1, op: [{p: ['x'], na: 1}], m: {ts: 2000}},
+    {v: 2, op: [{p: ['y'], oi: 'a'}], m: {ts: 3000}},
+    {v: 3, op: [{p: ['x'], na: 2}], m: {ts: 4000}},
+    {v: 4, op: [{p: ['x'], na: 3}], m: {ts: 5000}}
+  ];
+
+  beforeEach(function(done) {
+    var self = this;
+    create(function(err, db, mongo) {
+      if (err) return done(err);
+      self.db = db;
+      self.mongo = mongo;
+      commitOps(db, mongo, collection, 'doc1', ops, done);
+    });
+  });
+
+  afterEach(function(done) {
+    this.db.close(done);
+  });
+
+  it('replaces the ops before the version with a baseline', function(done) {
+    var mongo = this.mongo;
+    this.db.truncateHistory(collection, 'doc1', 3, function(err, removed) {
+      if (err) return done(err);
+      expect(removed).to.equal(2);
+      mongo.collection('o_' + collection).find({}).sort({v: 1}).toArray().then(function(ops) {
+        expect(ops.length).to.equal(3);
+        expect(ops[0]).to.include({v: 2, o: null});
+        expect(ops[0].baseline).to.eql({
+          type: 'http://sharejs.org/types/JSONv0',
+          data: {x: 1, y: 'a'},
+          m: {ctime: 1000, mtime: 3000}
+        });
+        expect(ops[1].o).to.eql(ops[0]._id);
+        done();
+      }, done);
+    });
+  });
+
+  it('returns ops from the version', function(done) {
+    var db = this.db;
+    db.truncateHistory(collection, 'doc1', 3, function(err) {
+      if (err) return done(err);
+      db.getOps(collection, 'doc1', 3, null, null, function(err, ops) {
+        if (err) return done(err);
+        expect(ops).to.eql([
+          {v: 3, op: [{p: ['x'], na: 2}]},
+          {v: 4, op: [{p: ['x'], na: 3}]}
+        ]);
+        done();
+      });
+    });
+  });
+
+  it('errors when fetching ops from before the version', function(done) {
+    var db = this.db;
+    db.truncateHistory(collection, 'doc1', 3, function(err) {
+      if (err) return done(err);
+      db.getOps(collection, 'doc1', 0, null, null, function(err) {
+        expect(err.code).to.equal(5107);
+        done();
+      });
+    });
+  });
+
+  it('errors when fetching ops to a snapshot from before the version', function(done) {
+    var db = this.db;
+    db.truncateHistory(collection, 'doc1', 3, function(err) {
+      if (err) return done(err);
+      db.getSnapshot(collection, 'doc1', {$submit: true}, null, function(err, snapshot) {
+        if (err) return done(err);
+        db.getOpsToSnapshot(collection, 'doc1', 1, snapshot, null, function(err) {
+          expect(err.code).to.equal(5107);
+          done();
+        });
+      });
+    });
+  });
+
+  it('errors when fetching bulk ops from before the version', function(done) {
+    var db = this.db;
+    db.truncateHistory(collection, 'doc1', 3, function(err) {
+      if (err) return done(err);
+      db.getOpsBulk(collection, {doc1: 2}, null, null, function(err) {
+        expect(err.code).to.equal(5107);
+        done();
+      });
+    });
+  });
+
+  it('keeps the snapshot valid for further commits', function(done) {
+    var db = this.db;
+    db.truncateHistory(collection, 'doc1', 3, function(err) {
+      if (err) return done(err);
+      db.getSnapshot(collection, 'doc1', {$submit: true}, null, function(err, snapshot) {
+        if (err) return done(err);
+        var op = {v: 5, op: [{p: ['x'], na: 1}]};
+        snapshot.v = 6;
+        snapshot.data = {x: 7, y: 'a'};
+        db.commit(collection, 'doc1', op, snapshot, null, function(err, succeeded) {
+          if (err) return done(err);
+          expect(succeeded).to.equal(true);
+          db.getOps(collection, 'doc1', 3, null, null, function(err, ops) {
+            if (err) return done(err);
+            expect(ops.length).to.equal(3);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('leaves op chains that pass verify', function(done) {
+    var db = this.db;
+    db.truncateHistory(collection, 'doc1', 3, function(err) {
+      if (err) return done(err);
+      var reports = [];
+      db.verify(collection)
+        .on('data', function(report) {
+          reports.push(report);
+        })
+        .on('error', done)
+        .on('end', function() {
+          expect(reports).to.eql([]);
+          done();
+        });
+    });
+  });
+
+  it('rebuilds snapshots from the baseline', function(done) {
+    var db = this.db;
+    var mongo = this.mongo;
+    db.truncateHistory(collection, 'doc1', 3, function(err) {
+      if (err) return done(err);
+      mongo.collection(collection).updateOne({_id: 'doc1'}, {$set: {x: 'corrupt'}}).then(function() {
+        db.rebuildSnapshot(collection, 'doc1', null, function(err, succeeded, snapshot) {
+          if (err) return done(err);
+          expect(succeeded).to.equal(true);
+          expect(snapshot.v).to.equal(5);
+          expect(snapshot.data).to.eql({x: 6, y: 'a'});
+          done();
+        });
+      }, done);
+    });
+  });
+
+  it('compacts ops after the baseline', function(done) {
+    var db = this.db;
+    db.truncateHistory(collection, 'doc1', 3, function(err) {
+      if (err) return done(err);
+      db.compactOps(collection, {olderThan: 6000}, function(err, result) {
+        if (err) return done(err);
+        expect(result).to.eql({docs: 1, runs: 1, removed: 1, skipped: 0});
+        db.getOps(collection, 'doc1', 3, null, null, function(err, ops) {
+          if (err) return done(err);
+          expect(ops).to.eql([{v: 3, op: [{p: ['x'], na: 5}]}, {v: 4}]);
+          done();
+        });
+      });
+    });
+  });
+
+  it('can truncate a truncated history further', function(done) {
+    var db = this.db;
+    var mongo = this.mongo;
+    db.truncateHistory(collection, 'doc1', 3, function(err) {
+      if (err) return done(err);
+      db.truncateHistory(collection, 'doc1', 4, function(err, removed) {
+        if (err) return done(err);
+        expect(removed).to.equal(1);
+        mongo.collection('o_' + collection).find({}).sort({v: 1}).toArray().then(function(ops) {
+          expect(ops.length).to.equal(2);
+          expect(ops[0].baseline.data).to.eql({x: 3, y: 'a'});
+          expect(ops[0].baseline.m).to.eql({ctime: 1000, mtime: 4000});
+          done();
+        }, done);
+      });
+    });
+  });
+
+  it('does nothing before an earlier truncation', function(done) {
+    var db = this.db;
+    db.truncateHistory(collection, 'doc1', 3, function(err) {
+      if (err) return done(err);
+      db.truncateHistory(collection, 'doc1', 2, function(err, removed) {
+        if (err) return done(err);
+        expect(removed).to.equal(0);
+        done();
+      });
+    });
+  });
+
+  it('errors for a version after the snapshot', function(done) {
+    this.db.truncateHistory(collection, 'doc1', 6, function(err) {
+      expect(err.code).to.equal(4101);
+      done();
+    });
+  });
+});
+
+function commitOps(db, mongo, collection, id, ops, callback) {
+  var opLink = null;
+  var data = [{x: 0}, {x: 1}, {x: 1, y: 'a'}, {x: 3, y: 'a'}, {x: 6, y: 'a'}];
+  function next(i) {
+    if (i === ops.length) return callback();
+    var op = ops[i];
+    var snapshot = {
+      id: id,
+      v: i + 1,
+      type: 'http://sharejs.org/types/JSONv0',
+      data: data[i],
+      m: {ctime: ops[0].m.ts, mtime: op.m.ts},
+      _opLink: opLink
+    };
+    db.commit(collection, id, Object.assign({}, op), snapshot, null, function(err) {
+      if (err) return callback(err);
+      mongo.collection('o_' + collection).find({d: id, v: op.v}).next()
+        .then(function(op) {
+          opLink = op._id;
+          next(i + 1);
+        }, callback);
+    });
+  }
+  next(0);
+}
@@ -0,0 +1,157 @@
+var expect = require('chai').expect;
+var ShareDbMongo = require('..');
+
+var mongoUrl = process.env.TEST_MONGO_URL || 'mongodb://localhost:27017/test';
+
+function create(callback) {
+  var db = new ShareDbMongo(mongoUrl);
+  db.getDbs(function(err, mongo) {
+    if (err) return callback(err);
+    mongo.dropDatabase()
+      .then(function() {
+        callback(null, db, mongo);
+      })
+      .catch(callback);
+  });
+};
+
+describe('verify', function() {
+  var collection = 'testcollection';
+
+  beforeEach(function(done) {
+    var self = this;
+    create(function(err, db, mongo) {
+      if (err) return done(err);
+      self.db = db;
+      self.mongo = mongo;
+      self.ops = mongo.collection('o_' + collection);
+      commitOpChain(db, mongo, collection, 'doc1', 4, done);
+    });
+  });
+
+  afterEach(function(done) {
+    this.db.close(done);
+  });
+
+  function verify(db, options, callback) {
+    var reports = [];
+    db.verify(collection, options)
+      .on('data', function(report) {
+        reports.push(report);
+      })
+      .on('error', callback)
+      .on('end', function() {
+        callback(null, reports);
+      });
+  }
+
+  it('reports nothing for a healthy collection', function(done) {
+    verify(this.db, null, function(err, reports) {
+      if (err) return done(err);
+      expect(reports).to.eql([]);
+      done();
+    });
+  });
+
+  it('reports snapshots missing the last op link', function(done) {
+    var db = this.db;
+    this.mongo.collection(collection).updateOne({_id: 'doc1'}, {$unset: {_o: true}}).then(function() {
+      verify(db, null, function(err, reports) {
+        if (err) return done(err);
+        expect(reports).to.eql([{
+          id: 'doc1',
+          version: 4,
+          issues: [{type: 'missingLastOperation', code: 5102, from: 0, to: 4}]
+        }]);
+        done();
+      });
+    }, done);
+  });
+
+  it('reports gaps and broken links', function(done) {
+    var db = this.db;
+    this.ops.deleteOne({d: 'doc1', v: 1}).then(function() {
+      verify(db, null, function(err, reports) {
+        if (err) return done(err);
+        expect(reports).to.eql([{
+          id: 'doc1',
+          version: 4,
+          issues: [
+            {type: 'gap', from: 1, to: 2},
+            {type: 'brokenLink', code: 5103, from: 0, to: 2}
+          ]
+        }]);
+        done();
+      });
+    }, done);
+  });
+
+  it('reports duplicate versions', function(done) {
+    var db = this.db;
+    this.ops.insertOne({d: 'doc1', v: 2, op: [], o: null}).then(function() {
+      verify(db, null, function(err, reports) {
+        if (err) return done(err);
+        expect(reports).to.eql([{
+          id: 'doc1',
+          version: 4,
+          issues: [{type: 'duplicateVersion', from: 2, to: 3, count: 2}]
+        }]);
+        done();
+      });
+    }, done);
+  });
+
+  it('reports snapshots whose version does not match the op chain', function(done) {
+    var db = this.db;
+    this.mongo.collection(collection).updateOne({_id: 'doc1'}, {$set: {_v: 5}}).then(function() {
+      verify(db, null, function(err, reports) {
+        if (err) return done(err);
+        expect(reports).to.eql([{
+          id: 'doc1',
+          version: 5,
+          issues: [
+            {type: 'gap', from: 4, to: 5},
+            {type: 'versionMismatch', from: 4, to: 5}
+          ]
+        }]);
+        done();
+      });
+    }, done);
+  });
+
+  it('only checks the snapshots matching the query', function(done) {
+    var db = this.db;
+    var mongo = this.mongo;
+    commitOpChain(db, mongo, collection, 'doc2', 2, function(err) {
+      if (err) return done(err);
+      mongo.collection(collection).updateMany({}, {$unset: {_o: true}}).then(function() {
+        verify(db, {query: {_id: 'doc2'}}, function(err, reports) {
+          if (err) return done(err);
+          expect(reports.length).to.equal(1);
+          expect(reports[0].id).to.equal('doc2');
+          done();
+        });
+      }, done);
+    });
+  });
+});
+
+function commitOpChain(db, mongo, collection, id, count, callback) {
+  var version = 0;
+  var opLink = null;
+  function next() {
+    if (version === count) return callback();
+    var op = (version === 0) ? {v: 0, create: {type: 'json0'}} : {v: version, op: []};
+    var snapshot = {id: id, v: version + 1, type: 'json0', data: {}, m: null, _opLink: opLink};
+    db.commit(collection, id, op, snapshot, null, function(err) {
+      if (err) return callback(err);
+      mongo.collection('o_' + collection).find({d: id, v: version}).next()
+        .then(function(op) {
+          opLink = op._id;
+          version++;
+          next();
+        }, callback);
+    });
+  }
+  next();
+}